@@ -15,129 +15,1130 @@ try {
 var express = require('express');
 var app = express();
 var geocoder = require('./geocoder.js');
+var csv = require('./csv.js');
+var batch = require('./batch.js');
 
-app.get(/geocode/, function(req, res) {
-  var lat = req.query.latitude || false;
-  var lon = req.query.longitude || false;
-  var latlng = req.query.latlng || false;
-  var maxResults = req.query.maxResults || 1;
-  var lang = req.query.language || (req.acceptsLanguages()[0] && req.acceptsLanguages()[0].substr(0, 2).toLowerCase());
-  if (!! latlng) {
-	  var components=latlng.split(',');
-	  if (components.length == 2) {
-		  lat=components[0]; 
-		  lon=components[1];
-	  }
+// The geohash and h3 parameters as points, both may be repeated
+function getCellPoints(query) {
+  var toPoints = function(type) {
+    return [].concat(query[type] || []).map(function(cell) {
+      var point = {};
+      point[type] = String(cell);
+      return point;
+    });
+  };
+  return toPoints('geohash').concat(toPoints('h3'));
+}
+
+// The geohashPrecision and h3Resolution parameters as the cells option of
+// lookUp
+function getCellsOption(query) {
+  if (query.geohashPrecision === undefined &&
+      query.h3Resolution === undefined) {
+    return undefined;
   }
+  return {geohash: query.geohashPrecision, h3: query.h3Resolution};
+}
 
-  if (!lat || !lon) {
-    return res.status(400).send('Bad Request');
+// The ranking, preferFeatureCodes, excludeFeatureCodes and candidates
+// parameters as the ranking option of lookUp, the feature codes are comma
+// separated
+function getRankingOption(query) {
+  var list = function(value) {
+    return value ? String(value).split(',') : undefined;
+  };
+  return {
+    score: query.ranking,
+    preferFeatureCodes: list(query.preferFeatureCodes),
+    excludeFeatureCodes: list(query.excludeFeatureCodes),
+    candidates: query.candidates
+  };
+}
+
+var COORDINATE_PARSERS = {
+  latitude: geocoder.parseLatitude,
+  longitude: geocoder.parseLongitude,
+  latlng: geocoder.parseLatLng
+};
+
+var COORDINATE_EXAMPLES = {
+  latitude: 'a latitude within ±90, e.g. 48.4667, 48:28:00 or 48°28′N',
+  longitude: 'a longitude within ±360, e.g. 9.1333, 9:08:00 or 9°8′E',
+  latlng: 'a latitude and a longitude, e.g. 48.4667,9.1333'
+};
+
+// Parses value, the parameter called name, as a latitude, longitude or
+// latlng, see kind. Returns an INVALID_COORDINATE error naming the parameter
+// if it is missing or invalid
+function parseCoordinate(value, name, kind) {
+  var parsed = typeof value === 'string' || typeof value === 'number' ?
+      COORDINATE_PARSERS[kind](value) : null;
+  if (parsed !== null) {
+    return parsed;
   }
-  var points = [];
-  if (Array.isArray(lat) && Array.isArray(lon)) {
+  var err = new geocoder.GeocoderError('INVALID_COORDINATE',
+      (value === undefined || value === '' ? 'Missing parameter ' + name :
+      'Invalid parameter ' + name + ' ' + JSON.stringify(value)) +
+      ', expected ' + COORDINATE_EXAMPLES[kind]);
+  err.parameter = name;
+  return err;
+}
+
+// The point of a latitude and a longitude parameter, or the error of the
+// first bad one
+function parsePoint(latitude, longitude, latitudeName, longitudeName) {
+  var point = {
+    latitude: parseCoordinate(latitude, latitudeName, 'latitude'),
+    longitude: parseCoordinate(longitude, longitudeName, 'longitude')
+  };
+  return point.latitude instanceof geocoder.GeocoderError ? point.latitude :
+      point.longitude instanceof geocoder.GeocoderError ? point.longitude :
+      point;
+}
+
+// Drop-in for Google's reverse geocoding, e.g.
+// /maps/api/geocode/json?latlng=48.47,9.13&result_type=locality&language=de
+// The key parameter is accepted and ignored
+app.get('/maps/api/geocode/json', function(req, res) {
+  var invalid = function(message) {
+    return res.status(400).send({
+      error_message: message,
+      results: [],
+      status: 'INVALID_REQUEST'
+    });
+  };
+  if (!req.query.latlng || Array.isArray(req.query.latlng)) {
+    return invalid('Invalid request. Missing the \'latlng\' parameter.');
+  }
+  var point = parseCoordinate(req.query.latlng, 'latlng', 'latlng');
+  if (point instanceof geocoder.GeocoderError) {
+    return invalid('Invalid request. Invalid \'latlng\' parameter.');
+  }
+  var options = {
+    maxResults: 1,
+    language: req.query.language || req.acceptsLanguages()
+  };
+  geocoder.lookUp(point, options, function(err, places) {
+    if (err && (err.code === 'INVALID_COORDINATE' ||
+        err.code === 'INVALID_ARGUMENT')) {
+      return invalid('Invalid request. Invalid \'latlng\' parameter.');
+    }
+    if (err) {
+      return res.status(500).send({
+        error_message: err.message,
+        results: [],
+        status: 'UNKNOWN_ERROR'
+      });
+    }
+    return res.send(googlify(places[0], req.query));
+  });
+});
+
+// The regular expression also matches the Google route above, so that has to
+// come first
+app.get(/geocode/, function(req, res) {
+  var latlng = req.query.latlng;
+  var maxResults = req.query.maxResults || 1;
+  // The Google-shaped latlng reply falls back to the Accept-Language header
+  // like the Google route above. The others keep the GeoNames names unless
+  // language is given, which may list fallbacks, e.g. 'de-CH,de,en'
+  var language = req.query.language ||
+      (latlng ? req.acceptsLanguages() : undefined);
+
+  // Geohashes and H3 cells may stand in for coordinates
+  var points = getCellPoints(req.query);
+  if (!points.length && latlng) {
+    var point = parseCoordinate(latlng, 'latlng', 'latlng');
+    if (point instanceof geocoder.GeocoderError) {
+      return sendError(res, point);
+    }
+    points = [point];
+  } else if (!points.length) {
+    // Both may be repeated for several points
+    var lat = [].concat(req.query.latitude);
+    var lon = [].concat(req.query.longitude);
     if (lat.length !== lon.length) {
-      return res.status(400).send('Bad Request');
+      return sendError(res, new geocoder.GeocoderError('INVALID_ARGUMENT',
+          'There have to be as many latitude as longitude parameters'));
     }
     for (var i = 0, lenI = lat.length; i < lenI; i++) {
-	  if (lat[i].indexOf(':') > 0) {
-		  var components=lat[i].split(':');
-		  lat[i]=Number(components[0])+Math.sign(components[0])*(Number(components[1])/60+Number(components[2] || 0)/3600);
-	  }
-  	  if (lon[i].indexOf(':') > 0) {
-		  var components=lon[i].split(':');
-		  lon[i]=Number(components[0])+Math.sign(components[0])*(Number(components[1])/60+Number(components[2] || 0)/3600);
-	  }
-
-      points[i] = {latitude: Number(lat[i]), longitude: Number(lon[i])};
-    }
-  } else {
-    if (lat.indexOf(':') > 0) {
-	  var components=lat.split(':');
-	  lat=Number(components[0])+Math.sign(components[0])*(Number(components[1])/60+Number(components[2] || 0)/3600);
-	}
-  	if (lon.indexOf(':') > 0) {
-	  var components=lon.split(':');
-	  lon=Number(components[0])+Math.sign(components[0])*(Number(components[1])/60+Number(components[2] || 0)/3600);
-	}
-    points[0] =  {latitude: Number(lat), longitude: Number(lon)};
+      points[i] = parsePoint(lat[i], lon[i], 'latitude', 'longitude');
+      if (points[i] instanceof geocoder.GeocoderError) {
+        return sendError(res, points[i]);
+      }
+    }
   }
-  geocoder.lookUp(points, maxResults, function(err, addresses) {
+  var options = {
+    maxResults: maxResults,
+    language: language,
+    cells: getCellsOption(req.query),
+    ranking: getRankingOption(req.query)
+  };
+  geocoder.lookUp(points, options, function(err, addresses) {
     if (err) {
-      return res.status(500).send(err);
+      return sendError(res, err);
     }
-	if (!! latlng) {
-		return res.send(googlify(addresses, lang));
+	if (req.query.format === 'geojson') {
+		res.type('application/geo+json');
+		return res.send(geocoder.toGeoJSON(addresses, points));
+	} else if (!! latlng) {
+		return res.send(googlify(addresses[0], req.query));
 	} else if (!! req.query.language) {
+		// Filters and excluded feature codes may leave no place at all
+		var nearest = addresses[0][0];
 		var ret = {};
-		ret.dispname = prettify(addresses, lang);
-		ret.distance = addresses[0][0].distance;
+		ret.dispname = prettify(addresses);
+		ret.distance = nearest ? nearest.distance : null;
 		return res.send(ret);
 	}
     return res.send(addresses);
   });
 });
 
-function prettify(address,language) {
-	if (!language || language=='')
-		language='invalid';
+var NOMINATIM_LICENCE = 'Data © GeoNames, CC BY 4.0, https://www.geonames.org';
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Builds the Nominatim reverse result of a place at a zoom level: up to 4 it
+// is the country, up to 7 the state (admin 1), up to 9 the county (admin 2)
+// and beyond that the city. Missing admin units fall back to the next bigger
+// one
+function nominatimPlace(place, zoom) {
+  var country = place.country ? place.country.name : place.countryCode;
+  var state = place.admin1Code && place.admin1Code.name;
+  var county = place.admin2Code && place.admin2Code.name;
+  var levels = [{
+    minZoom: 10,
+    rank: 16,
+    category: 'place',
+    type: 'city',
+    id: place.geoNameId,
+    name: place.name,
+    box: boxAround(Number(place.latitude), Number(place.longitude),
+        placeRadius(place)),
+    latitude: Number(place.latitude),
+    longitude: Number(place.longitude)
+  }];
+  if (county) {
+    levels.push({minZoom: 8, rank: 12, type: 'county', name: county,
+        id: place.admin2Code.geoNameId, key: place.admin2Code.key});
+  }
+  if (state) {
+    levels.push({minZoom: 5, rank: 8, type: 'state', name: state,
+        id: place.admin1Code.geoNameId, key: place.admin1Code.key});
+  }
+  levels.push({minZoom: 0, rank: 4, type: 'country', name: country,
+      id: place.country ? place.country.geoId : null,
+      key: place.countryCode});
+
+  var level = levels.filter(function(level) {
+    return zoom >= level.minZoom;
+  })[0];
+  var fields = [['city', place.name], ['county', county], ['state', state],
+      ['postcode', place.postalCode && place.postalCode.postalCode],
+      ['country', country]];
+  // Only what contains the level's place belongs to its address
+  fields = fields.slice(['city', 'county', 'state', 'country']
+      .indexOf(level.type));
+  if (level.type !== 'city') {
+    fields = fields.filter(function(field) {
+      return field[0] !== 'postcode';
+    });
+  }
+  var address = {};
+  fields.forEach(function(field) {
+    if (field[1]) {
+      address[field[0]] = field[1];
+    }
+  });
+  address.country_code = String(place.countryCode).toLowerCase();
+
+  if (level.key) {
+    var bounds = geocoder.getBounds(level.key) || levels[0].box;
+    level.box = bounds;
+    level.latitude = (bounds.south + bounds.north) / 2;
+    level.longitude = (bounds.west + bounds.east) / 2;
+  }
+  return {
+    place_id: Number(level.id) || null,
+    licence: NOMINATIM_LICENCE,
+    lat: String(level.latitude),
+    lon: String(level.longitude),
+    category: level.category || 'boundary',
+    type: level.category ? level.type : 'administrative',
+    place_rank: level.rank,
+    addresstype: level.type,
+    name: level.name,
+    display_name: fields.map(function(field) {
+      return field[1];
+    }).filter(Boolean).join(', '),
+    address: address,
+    boundingbox: [level.box.south, level.box.north, level.box.west,
+        level.box.east].map(String)
+  };
+}
+
+// Formats a result of nominatimPlace, or null for no result, as json,
+// jsonv2, geojson or xml
+function nominatimFormat(result, format, query) {
+  if (format === 'geojson') {
+    if (!result) {
+      return {error: 'Unable to geocode'};
+    }
+    var properties = {};
+    ['place_id', 'place_rank', 'category', 'type', 'addresstype', 'name',
+        'display_name', 'address'].forEach(function(key) {
+      properties[key] = result[key];
+    });
+    var box = result.boundingbox.map(Number);
+    return {
+      type: 'FeatureCollection',
+      licence: result.licence,
+      features: [{
+        type: 'Feature',
+        properties: properties,
+        bbox: [box[2], box[0], box[3], box[1]],
+        geometry: {
+          type: 'Point',
+          coordinates: [Number(result.lon), Number(result.lat)]
+        }
+      }]
+    };
+  }
+  if (format === 'xml') {
+    var xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<reversegeocode timestamp="' + escapeXml(new Date().toUTCString()) +
+        '" attribution="' + escapeXml(NOMINATIM_LICENCE) +
+        '" querystring="' + escapeXml(query) + '">\n';
+    if (!result) {
+      return xml + '<error>Unable to geocode</error>\n</reversegeocode>';
+    }
+    xml += '<result place_id="' + escapeXml(result.place_id) + '" lat="' +
+        escapeXml(result.lat) + '" lon="' + escapeXml(result.lon) +
+        '" boundingbox="' + escapeXml(result.boundingbox.join(',')) +
+        '" place_rank="' + result.place_rank + '">' +
+        escapeXml(result.display_name) + '</result>\n<addressparts>';
+    Object.keys(result.address).forEach(function(key) {
+      xml += '<' + key + '>' + escapeXml(result.address[key]) + '</' + key +
+          '>';
+    });
+    return xml + '</addressparts>\n</reversegeocode>';
+  }
+  if (!result) {
+    return {error: 'Unable to geocode'};
+  }
+  if (format === 'json') {
+    // The older format calls the category class and has no rank and name
+    result.class = result.category;
+    delete result.category;
+    delete result.place_rank;
+    delete result.addresstype;
+    delete result.name;
+  }
+  return result;
+}
+
+// Nominatim's reverse geocoding, e.g. /reverse?lat=48.47&lon=9.13&format=json
+app.get(['/reverse', '/reverse.php'], function(req, res) {
+  var format = req.query.format || 'xml';
+  var send = function(status, body) {
+    if (format === 'xml') {
+      res.type('application/xml');
+    }
+    return res.status(status).send(body);
+  };
+  var fail = function(status, message) {
+    if (format === 'xml') {
+      return send(status, '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          '<error><code>' + status + '</code><message>' +
+          escapeXml(message) + '</message></error>');
+    }
+    return send(status, {error: {code: status, message: message}});
+  };
+  if (['xml', 'json', 'jsonv2', 'geojson'].indexOf(format) === -1) {
+    format = 'json';
+    return fail(400, 'Parameter \'format\': must be one of: xml, json, ' +
+        'jsonv2, geojson');
+  }
+  if (!req.query.lat || !req.query.lon || Array.isArray(req.query.lat) ||
+      Array.isArray(req.query.lon)) {
+    return fail(400, 'Need coordinates or OSM object to lookup.');
+  }
+  var zoom = req.query.zoom === undefined ? 18 : Number(req.query.zoom);
+  if (isNaN(zoom) || zoom < 0 || zoom > 18) {
+    return fail(400, 'Parameter \'zoom\' must be a number between 0 and 18.');
+  }
+  // Drops the weights of an Accept-Language style list
+  var language = req.query['accept-language'] ?
+      String(req.query['accept-language']).split(',').map(function(tag) {
+        return tag.split(';')[0];
+      }) :
+      req.acceptsLanguages();
+  var point = parsePoint(req.query.lat, req.query.lon, 'lat', 'lon');
+  if (point instanceof geocoder.GeocoderError) {
+    return fail(400, point.message);
+  }
+  geocoder.lookUp(point, {language: language}, function(err, places) {
+    if (err) {
+      return fail(500, err.message);
+    }
+    var place = places[0][0];
+    var query = req.originalUrl.split('?')[1] || '';
+    return send(200, nominatimFormat(place ? nominatimPlace(place, zoom) :
+        null, format, query));
+  });
+});
+
+app.get('/search', function(req, res) {
+  var query = req.query.q || false;
+  if (!query || Array.isArray(query)) {
+    return res.status(400).send('Bad Request');
+  }
+  var options = {
+    maxResults: req.query.maxResults || 10,
+    country: req.query.country,
+    admin1: req.query.admin1,
+    prefix: req.query.prefix === 'true',
+    language: req.query.language || req.acceptsLanguages()
+  };
+  if (req.query.latitude || req.query.longitude) {
+    options.near = parsePoint(req.query.latitude, req.query.longitude,
+        'latitude', 'longitude');
+    if (options.near instanceof geocoder.GeocoderError) {
+      return sendError(res, options.near);
+    }
+  }
+  geocoder.search(query, options, function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    return res.send(places);
+  });
+});
+
+// Time zone of the place nearest to a point, with the offset at timestamp
+// (milliseconds or a date string) or now
+app.get('/timezone', function(req, res) {
+  var point = parsePoint(req.query.latitude, req.query.longitude, 'latitude',
+      'longitude');
+  if (point instanceof geocoder.GeocoderError) {
+    return sendError(res, point);
+  }
+  point.timestamp = req.query.timestamp || Date.now();
+  geocoder.lookUp(point, 1, function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    var place = places[0][0];
+    if (!place || typeof place.timezone !== 'object') {
+      return res.status(404).send('Not Found');
+    }
+    return res.send(place.timezone);
+  });
+});
+
+app.get('/country/:code', function(req, res) {
+  var country = geocoder.getCountry(req.params.code);
+  if (!country) {
+    return res.status(404).send('Not Found');
+  }
+  return res.send(country);
+});
+
+// Drill-down through the admin units of a country, keys are those of
+// getBounds, e.g. /units/DE/children or /units/DE.02/cities
+app.get('/units/:key/children', function(req, res) {
+  var units = geocoder.getAdminUnits(req.params.key, {
+    language: req.query.language || req.acceptsLanguages()
+  });
+  if (!units) {
+    return res.status(404).send('Not Found');
+  }
+  return res.send(units);
+});
+
+app.get('/units/:key/cities', function(req, res) {
+  if (!geocoder.getAdminUnits(req.params.key)) {
+    return res.status(404).send('Not Found');
+  }
+  var options = getAreaOptions(req);
+  if (options instanceof geocoder.GeocoderError) {
+    return sendError(res, options);
+  }
+  geocoder.inAdminUnit(req.params.key, options, function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    return res.send(places);
+  });
+});
+
+// The country and admin units a place or admin unit lies in
+app.get('/places/:geoNameId/hierarchy', function(req, res) {
+  var hierarchy = geocoder.getAdminHierarchy(req.params.geoNameId, {
+    language: req.query.language || req.acceptsLanguages()
+  });
+  if (!hierarchy) {
+    return res.status(404).send('Not Found');
+  }
+  return res.send(hierarchy);
+});
+
+app.get('/postalcode', function(req, res) {
+  var postalCode = req.query.postalCode || false;
+  if (!postalCode || Array.isArray(postalCode)) {
+    return res.status(400).send('Bad Request');
+  }
+  geocoder.lookUpPostalCode(postalCode, {country: req.query.country},
+      function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    return res.send(places);
+  });
+});
+
+// Records per lookUp call of a batch, few enough to let other requests in
+// between
+var BATCH_CHUNK_SIZE = 1000;
+
+// JSON arrays are parsed as a whole, so their size is capped, in megabytes
+// of the environment variable BATCH_JSON_LIMIT. NDJSON and CSV are streamed
+var BATCH_JSON_LIMIT = Math.floor(
+    Number(process.env.BATCH_JSON_LIMIT || 10) * 1024 * 1024);
+
+var BATCH_CSV_COLUMNS = ['id', 'latitude', 'longitude', 'rank', 'geoNameId',
+    'name', 'admin1', 'admin2', 'countryCode', 'country', 'population',
+    'distance', 'geohash', 'h3', 'error'];
+
+// Writes the outcome of each record in the format the batch came in: a JSON
+// array or one JSON object per line of {id, results} or {id, error}, or CSV
+// with one row per result
+function createBatchWriter(res, format, delimiter) {
+  var count = 0;
+  var types = {
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv'
+  };
+  return {
+    start: function() {
+      res.type(types[format]);
+      if (format === 'json') {
+        return res.write('[');
+      }
+      if (format === 'csv') {
+        return res.write(csv.toLine(BATCH_CSV_COLUMNS, delimiter));
+      }
+      return true;
+    },
+    write: function(record) {
+      var outcome = {id: record.id === undefined ? null : record.id};
+      if (record.error) {
+        outcome.error = record.error;
+      } else {
+        outcome.results = record.results;
+      }
+      if (format === 'json') {
+        return res.write((count++ ? ',\n' : '\n') + JSON.stringify(outcome));
+      }
+      if (format === 'ndjson') {
+        return res.write(JSON.stringify(outcome) + '\n');
+      }
+      // The columns from rank to h3 stay empty without a place
+      var noPlace = BATCH_CSV_COLUMNS.slice(3, -1).map(function() {
+        return null;
+      });
+      var rows = record.error ?
+          [[outcome.id, record.latitude, record.longitude].concat(noPlace,
+            [record.error.message])] :
+          (record.results.length ? record.results : [null]).map(
+          function(place, rank) {
+        var cells = place && place.cells || {};
+        return [outcome.id, record.latitude, record.longitude].concat(place ?
+            [rank, place.geoNameId, place.name,
+              place.admin1Code && place.admin1Code.name,
+              place.admin2Code && place.admin2Code.name, place.countryCode,
+              place.country && place.country.name, place.population,
+              place.distance, cells.geohash, cells.h3] : noPlace, [null]);
+      });
+      return res.write(rows.map(function(row) {
+        return csv.toLine(row, delimiter);
+      }).join(''));
+    },
+    end: function() {
+      if (format === 'json') {
+        res.write(count ? '\n]\n' : ']\n');
+      }
+      res.end();
+    }
+  };
+}
+
+// Batch geocoding of a JSON array, newline-delimited JSON or CSV body. Each
+// record has a latitude, a longitude and optionally an id, whose names can be
+// changed with the latitudeColumn, longitudeColumn and idColumn parameters.
+// NDJSON and CSV are streamed, JSON arrays are read as a whole first
+app.post('/geocode', function(req, res) {
+  var format = req.query.format ||
+      (req.is('json') ? 'json' :
+      req.is('text/csv') ? 'csv' :
+      req.is('application/x-ndjson') || req.is('application/ndjson') ?
+          'ndjson' :
+      null);
+  if (['json', 'ndjson', 'csv'].indexOf(format) === -1) {
+    return res.status(415).send({
+      code: 'INVALID_ARGUMENT',
+      message: 'Send application/json, application/x-ndjson or text/csv'
+    });
+  }
+  var columns = {
+    id: req.query.idColumn || 'id',
+    latitude: req.query.latitudeColumn || 'latitude',
+    longitude: req.query.longitudeColumn || 'longitude'
+  };
+  var delimiter = req.query.delimiter || ',';
+  var options = {
+    maxResults: req.query.maxResults || 1,
+    // As for GET, only an explicit language localizes
+    language: req.query.language,
+    cells: getCellsOption(req.query),
+    ranking: getRankingOption(req.query)
+  };
+  var writer = createBatchWriter(res, format, delimiter);
+  var started = false;
+  var queue = [];
+  var ended = false;
+  var busy = false;
+  var draining = false;
+  var failed = false;
+  var input = null;
+
+  var fail = function(err) {
+    failed = true;
+    if (input) {
+      input.close();
+    }
+    if (!started) {
+      return sendError(res, err);
+    }
+    // Too late for a status code, cut the response short
+    return res.destroy(err);
+  };
+  var next = function() {
+    if (busy || draining || failed) {
+      return;
+    }
+    if (!queue.length) {
+      if (ended) {
+        if (!started) {
+          writer.start();
+        }
+        return writer.end();
+      }
+      return input && input.resume();
+    }
+    busy = true;
+    var chunk = queue.splice(0, BATCH_CHUNK_SIZE);
+    batch.lookUpRecords(geocoder, chunk, options, function(err) {
+      busy = false;
+      if (err) {
+        return fail(err);
+      }
+      var flushed = true;
+      if (!started) {
+        started = true;
+        flushed = writer.start();
+      }
+      chunk.forEach(function(record) {
+        flushed = writer.write(record) && flushed;
+      });
+      if (!flushed) {
+        draining = true;
+        return res.once('drain', function() {
+          draining = false;
+          next();
+        });
+      }
+      return setImmediate(next);
+    });
+  };
+  // Queues a parsed record, or the error that kept it from being parsed
+  var add = function(value, error) {
+    var record;
+    if (!error && (!value || typeof value !== 'object' ||
+        Array.isArray(value))) {
+      error = {code: 'INVALID_ARGUMENT', message: 'Not an object'};
+    }
+    if (error) {
+      record = {error: error};
+    } else {
+      record = {
+        id: value[columns.id],
+        latitude: value[columns.latitude],
+        longitude: value[columns.longitude]
+      };
+      // A geohash or H3 cell may stand in for the coordinates
+      record.point = value.geohash ? {geohash: value.geohash} :
+          value.h3 ? {h3: value.h3} :
+          parsePoint(record.latitude, record.longitude, columns.latitude,
+            columns.longitude);
+      if (record.point instanceof geocoder.GeocoderError) {
+        record.error = {
+          code: record.point.code,
+          message: record.point.message
+        };
+      }
+    }
+    queue.push(record);
+    if (input && queue.length >= 2 * BATCH_CHUNK_SIZE) {
+      input.pause();
+    }
+    next();
+  };
+  res.on('close', function() {
+    failed = true;
+  });
+
+  if (format === 'json') {
+    var body = [];
+    var size = 0;
+    var tooLarge = function() {
+      failed = true;
+      body = null;
+      res.set('Connection', 'close');
+      return res.status(413).send({
+        code: 'INVALID_ARGUMENT',
+        message: 'JSON arrays are limited to ' + BATCH_JSON_LIMIT +
+            ' bytes, send bigger batches as NDJSON or CSV'
+      });
+    };
+    if (Number(req.get('Content-Length')) > BATCH_JSON_LIMIT) {
+      tooLarge();
+      return req.resume();
+    }
+    req.on('data', function(data) {
+      if (failed) {
+        return;
+      }
+      size += data.length;
+      if (size > BATCH_JSON_LIMIT) {
+        return tooLarge();
+      }
+      body.push(data);
+    }).on('end', function() {
+      if (failed) {
+        return;
+      }
+      var records;
+      try {
+        records = JSON.parse(Buffer.concat(body).toString('utf8'));
+      } catch (e) {
+        records = null;
+      }
+      if (!Array.isArray(records)) {
+        return res.status(400).send({
+          code: 'INVALID_ARGUMENT',
+          message: 'The body has to be a JSON array'
+        });
+      }
+      ended = true;
+      if (!records.length) {
+        return next();
+      }
+      records.forEach(function(record) {
+        add(record);
+      });
+    }).on('error', function() {
+      failed = true;
+    });
+    return;
+  }
+
+  var header = null;
+  input = require('readline').createInterface({input: req});
+  input.on('line', function(line) {
+    if (failed || !line.trim()) {
+      return;
+    }
+    if (format === 'ndjson') {
+      var value;
+      try {
+        value = JSON.parse(line);
+      } catch (e) {
+        return add(null, {code: 'INVALID_ARGUMENT',
+            message: 'Invalid JSON: ' + e.message});
+      }
+      return add(value);
+    }
+    var fields = csv.parseLine(line, delimiter);
+    if (!header) {
+      header = fields;
+      if ((header.indexOf(columns.latitude) === -1 ||
+          header.indexOf(columns.longitude) === -1) &&
+          header.indexOf('geohash') === -1 && header.indexOf('h3') === -1) {
+        var err = new geocoder.GeocoderError('INVALID_ARGUMENT', 'The CSV ' +
+            'header lacks the ' + columns.latitude + ' or ' +
+            columns.longitude + ' column, and a geohash or h3 column');
+        return fail(err);
+      }
+      return;
+    }
+    var record = {};
+    header.forEach(function(column, i) {
+      record[column] = fields[i];
+    });
+    return add(record);
+  }).on('close', function() {
+    ended = true;
+    next();
+  }).on('error', function() {
+    // The client went away while uploading
+    failed = true;
+  });
+});
+
+// Places an area route returns unless maxResults says otherwise, and the
+// most it may ask for, which the environment variable AREA_MAX_RESULTS sets
+var AREA_MAX_RESULTS = Number(process.env.AREA_MAX_RESULTS || 1000);
+var AREA_DEFAULT_RESULTS = Math.min(100, AREA_MAX_RESULTS);
+
+// Filters and language shared by /within, /bbox and /units/:key/cities.
+// Returns a GeocoderError if maxResults is invalid or above the limit
+function getAreaOptions(req) {
+  var query = req.query;
+  var list = function(value) {
+    return value ? String(value).split(',') : undefined;
+  };
+  var maxResults = query.maxResults === undefined ?
+      AREA_DEFAULT_RESULTS : Number(query.maxResults);
+  if (isNaN(maxResults) || maxResults < 1 ||
+      Math.floor(maxResults) !== maxResults ||
+      maxResults > AREA_MAX_RESULTS) {
+    var err = new geocoder.GeocoderError('INVALID_ARGUMENT',
+        'Invalid parameter maxResults ' + JSON.stringify(query.maxResults) +
+        ', expected an integer from 1 to ' + AREA_MAX_RESULTS);
+    err.parameter = 'maxResults';
+    return err;
+  }
+  return {
+    minPopulation: query.minPopulation,
+    featureClasses: list(query.featureClasses),
+    featureCodes: list(query.featureCodes),
+    maxResults: maxResults,
+    language: query.language || req.acceptsLanguages()
+  };
+}
+
+app.get('/within', function(req, res) {
+  var point = parsePoint(req.query.latitude, req.query.longitude, 'latitude',
+      'longitude');
+  if (point instanceof geocoder.GeocoderError) {
+    return sendError(res, point);
+  }
+  var options = getAreaOptions(req);
+  if (options instanceof geocoder.GeocoderError) {
+    return sendError(res, options);
+  }
+  geocoder.within(point, req.query.radius, options, function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    return res.send(places);
+  });
+});
+
+app.get('/bbox', function(req, res) {
+  var southWest = parsePoint(req.query.south, req.query.west, 'south', 'west');
+  var northEast = parsePoint(req.query.north, req.query.east, 'north', 'east');
+  var invalid = southWest instanceof geocoder.GeocoderError ? southWest :
+      northEast instanceof geocoder.GeocoderError ? northEast : null;
+  if (invalid) {
+    return sendError(res, invalid);
+  }
+  var options = getAreaOptions(req);
+  if (options instanceof geocoder.GeocoderError) {
+    return sendError(res, options);
+  }
+  geocoder.inBoundingBox(southWest.latitude, southWest.longitude,
+      northEast.latitude, northEast.longitude, options,
+      function(err, places) {
+    if (err) {
+      return sendError(res, err);
+    }
+    return res.send(places);
+  });
+});
+
+// The /admin calls need ADMIN_TOKEN in their X-Admin-Token header, without
+// it they are not served at all
+function checkAdminToken(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(404).send('Not Found');
+  }
+  if (req.get('X-Admin-Token') !== process.env.ADMIN_TOKEN) {
+    return res.status(403).send('Forbidden');
+  }
+  return next();
+}
+
+var refreshing = false;
+var lastRefresh = null;
+
+app.post('/admin/refresh', checkAdminToken, function(req, res) {
+  if (!refreshing) {
+    refreshing = true;
+    geocoder.refresh(function(err) {
+      refreshing = false;
+      lastRefresh = {
+        finishedAt: new Date().toISOString(),
+        error: err ? err.message : null
+      };
+    });
+  }
+  return res.status(202).send({refreshing: true});
+});
+
+app.get('/admin/version', checkAdminToken, function(req, res) {
+  return res.send({
+    version: geocoder.getDataVersion(),
+    cache: geocoder.getCacheStats(),
+    refreshing: refreshing,
+    lastRefresh: lastRefresh
+  });
+});
+
+// Bad input is the caller's fault, everything else is ours
+function sendError(res, err) {
+  var status = 500;
+  if (err.code === 'INVALID_COORDINATE' || err.code === 'INVALID_ARGUMENT') {
+    status = 400;
+  } else if (err.code === 'NOT_INITIALIZED') {
+    status = 503;
+  }
+  var body = {
+    code: err.code || 'INTERNAL_ERROR',
+    message: err.message || String(err)
+  };
+  // The query parameter at fault, see parseCoordinate
+  if (err.parameter) {
+    body.parameter = err.parameter;
+  }
+  return res.status(status).send(body);
+}
+
+// The geocoder localizes the names, see the language option of lookUp
+function prettify(address) {
 	var add=address[0][0];
 	if (! add)
 		return null;
 	
-	var res = (add.alternateNames && add.alternateNames[language]) || add.name;
-	if (add.admin1Code)
-		res = res + ", " + ((add.admin1Code.alternateNames && add.admin1Code.alternateNames[language]) || add.admin1Code.name);
+	var res = add.name;
+	if (add.admin1Code && add.admin1Code.name)
+		res = res + ", " + add.admin1Code.name;
 	if (add.countryCode)
-		res = res + ", " + ((add.countryAltNames && (add.countryAltNames[language] || add.countryAltNames['en'])) || add.countryCode);
+		res = res + ", " + (add.country ? add.country.name : add.countryCode);
 	return res;
-};
+}
 
-function googlify(address,language) {
-	if (!language || language=='')
-		language='invalid';
-	var add=address[0][0];
-	if (! add)
-		return null;
+// The box of radius kilometers around a point
+function boxAround(latitude, longitude, radius) {
+  var deltaLatitude = radius / 111.32;
+  var deltaLongitude = radius /
+      (111.32 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  return {
+    south: Math.max(latitude - deltaLatitude, -90),
+    west: Math.max(longitude - deltaLongitude, -180),
+    north: Math.min(latitude + deltaLatitude, 90),
+    east: Math.min(longitude + deltaLongitude, 180)
+  };
+}
 
-	var ret={};
-	ret.results = [{
-		formatted_address: prettify(address, language),
-                geometry: {
-                    location: {
-                        lat: add.latitude,
-                        lng: add.longitude
-                    },
-                    location_type: 'GEOMETRIC_CENTER'
-                },
-		address_components: [{
-			long_name: (add.alternateNames && add.alternateNames[language]) || add.name,
-			short_name: (add.alternateNames && add.alternateNames[language]) || add.name,
-			types: ['locality']
-		}, {
-			long_name: ((add.countryAltNames && (add.countryAltNames[language] || add.countryAltNames['en'])) || add.countryCode),
-			short_name: ((add.countryAltNames && (add.countryAltNames[language] || add.countryAltNames['en'])) || add.countryCode),
-			types: ['country']
-		}]
-	}];
-    ret.status = 'OK';
-	if (add.admin2Code && add.admin2Code.name) {
-        ret.results[0].address_components.push({
-            long_name: ((add.admin2Code.alternateNames && add.admin2Code.alternateNames[language]) || add.admin2Code.name),
-            short_name:((add.admin2Code.alternateNames && add.admin2Code.alternateNames[language]) || add.admin2Code.name),
-            types: ['administrative_area_level_2']
-        });
-	};
-	if (add.admin1Code && add.admin1Code.name) {
-        ret.results[0].address_components.push({
-            long_name: ((add.admin1Code.alternateNames && add.admin1Code.alternateNames[language]) || add.admin1Code.name),
-            short_name:((add.admin1Code.alternateNames && add.admin1Code.alternateNames[language]) || add.admin1Code.name),
-            types: ['administrative_area_level_1']
-        });
-	};
-	return ret;
+// Bigger cities cover more ground, roughly
+function placeRadius(place) {
+  return Math.max(2, Math.sqrt(Number(place.population) / 1000 || 0) / 2);
+}
+
+function googleViewport(latitude, longitude, radius) {
+  var box = boxAround(latitude, longitude, radius);
+  return {
+    northeast: {lat: box.north, lng: box.east},
+    southwest: {lat: box.south, lng: box.west}
+  };
+}
+
+// The levels of a place from the most to the least specific one, the city
+// itself, its admin units and its country
+function googleLevels(place) {
+  var latitude = Number(place.latitude);
+  var longitude = Number(place.longitude);
+  var levels = [{
+    name: place.name,
+    shortName: place.name,
+    types: [place.featureCode === 'PPLX' ? 'neighborhood' : 'locality',
+        'political'],
+    placeId: 'GeoNames:' + place.geoNameId,
+    location: {lat: latitude, lng: longitude},
+    viewport: googleViewport(latitude, longitude, placeRadius(place))
+  }];
+  [4, 3, 2, 1].forEach(function(level) {
+    var admin = place['admin' + level + 'Code'];
+    if (!admin || !admin.name) {
+      return;
+    }
+    levels.push({
+      name: admin.name,
+      // Google uses codes like 'CA' for states, GeoNames often numbers
+      shortName: level === 1 && /^[A-Z]{1,3}$/.test(admin.code) ?
+          admin.code : admin.name,
+      types: ['administrative_area_level_' + level, 'political'],
+      placeId: 'GeoNames:' + admin.geoNameId,
+      bounds: geocoder.getBounds(admin.key)
+    });
+  });
+  levels.push({
+    name: place.country ? place.country.name : place.countryCode,
+    shortName: place.countryCode,
+    types: ['country', 'political'],
+    placeId: 'GeoNames:' + (place.country ? place.country.geoId :
+        place.countryCode),
+    bounds: geocoder.getBounds(place.countryCode)
+  });
+  return levels.map(function(level) {
+    // Admin units and countries are as big as their known places
+    if (level.bounds) {
+      level.location = {lat: level.bounds.latitude,
+          lng: level.bounds.longitude};
+      level.viewport = {
+        northeast: {lat: level.bounds.north, lng: level.bounds.east},
+        southwest: {lat: level.bounds.south, lng: level.bounds.west}
+      };
+      // Units with a single known place would have no extent at all
+      if (level.bounds.north - level.bounds.south < 0.02 &&
+          level.bounds.east - level.bounds.west < 0.02) {
+        level.viewport = googleViewport(level.location.lat,
+            level.location.lng, 2);
+      }
+    } else if (!level.location) {
+      level.location = levels[0].location;
+      level.viewport = levels[0].viewport;
+    }
+    return level;
+  });
+}
+
+function googleComponent(level) {
+  return {
+    long_name: level.name,
+    short_name: level.shortName,
+    types: level.types
+  };
+}
+
+// Builds a Google Geocoding API reverse geocoding response from the places
+// lookUp found for a point: the best place, its postal code if loaded, its
+// admin units and its country, each as a result of its own. The result_type
+// and location_type filters work like Google's
+function googlify(places, query) {
+  query = query || {};
+  var place = places[0];
+  if (!place) {
+    return {results: [], status: 'ZERO_RESULTS'};
+  }
+  var levels = googleLevels(place);
+  var results = levels.map(function(level, i) {
+    var components = levels.slice(i).map(googleComponent);
+    if (i === 0 && place.postalCode) {
+      components.push({
+        long_name: place.postalCode.postalCode,
+        short_name: place.postalCode.postalCode,
+        types: ['postal_code']
+      });
+    }
+    var result = {
+      address_components: components,
+      formatted_address: i === 0 ? prettify([[place]]) :
+          i === levels.length - 1 ? level.name :
+          level.name + ', ' + levels[levels.length - 1].name,
+      geometry: {
+        location: level.location,
+        location_type: 'APPROXIMATE',
+        viewport: level.viewport
+      },
+      place_id: level.placeId,
+      types: level.types
+    };
+    if (level.bounds) {
+      result.geometry.bounds = level.viewport;
+    }
+    return result;
+  });
+  if (place.postalCode) {
+    var postalCode = place.postalCode;
+    var latitude = Number(postalCode.latitude);
+    var longitude = Number(postalCode.longitude);
+    var country = levels[levels.length - 1];
+    results.splice(1, 0, {
+      address_components: [{
+        long_name: postalCode.postalCode,
+        short_name: postalCode.postalCode,
+        types: ['postal_code']
+      }, {
+        long_name: postalCode.placeName,
+        short_name: postalCode.placeName,
+        types: ['locality', 'political']
+      }].concat(levels.slice(1).map(googleComponent)),
+      formatted_address: postalCode.postalCode + ' ' + postalCode.placeName +
+          ', ' + country.name,
+      geometry: {
+        location: {lat: latitude, lng: longitude},
+        location_type: 'APPROXIMATE',
+        viewport: googleViewport(latitude, longitude, 2)
+      },
+      place_id: 'GeoNames:postal:' + postalCode.countryCode + ':' +
+          postalCode.postalCode,
+      types: ['postal_code']
+    });
+  }
+
+  var list = function(value) {
+    return value ? String(value).split('|') : null;
+  };
+  var resultTypes = list(query.result_type);
+  var locationTypes = list(query.location_type);
+  results = results.filter(function(result) {
+    return (!resultTypes || result.types.some(function(type) {
+      return resultTypes.indexOf(type) !== -1;
+    })) && (!locationTypes ||
+        locationTypes.indexOf(result.geometry.location_type) !== -1);
+  });
+  return {results: results, status: results.length ? 'OK' : 'ZERO_RESULTS'};
 }
 
-geocoder.init({}, function() {
+// POSTAL_CODES is either true or a comma separated list of country codes
+var postalCodes = process.env.POSTAL_CODES === 'true' ||
+    (process.env.POSTAL_CODES ? process.env.POSTAL_CODES.split(',') : false);
+
+geocoder.init({
+  load: {
+    postalCodes: postalCodes,
+    timeZones: process.env.TIME_ZONES === 'true'
+  },
+  refreshInterval: Number(process.env.REFRESH_HOURS || 0) * 60 * 60 * 1000,
+  workers: Number(process.env.WORKERS || 0),
+  // CACHE_SIZE entries of CACHE_PRECISION decimals, if set
+  cache: process.env.CACHE_SIZE ? {
+    maxSize: process.env.CACHE_SIZE,
+    precision: process.env.CACHE_PRECISION
+  } : null
+}, function(err) {
+  if (err) {
+    console.error('Failed to initialize the geocoder: ' + err.message);
+    process.exit(1);
+  }
   var port = Number(process.env.PORT || 3000);
   var portSecure = Number(process.env.PORTTLS || 3001);
   
@@ -0,0 +1,43 @@
+'use strict';
+
+// Batch look-ups for the batch endpoint of app.js and the command-line tool.
+// The records may be looked up by any geocoder instance, the points are
+// checked as the module's lookUp checks them
+
+var geocoderModule = require('./geocoder.js');
+
+// Looks up the point of each record that has no error yet with geocoder and
+// sets its results. Points lookUp rejects fail their record only, with
+// {code, message} as its error, all others are looked up at once
+function lookUpRecords(geocoder, records, options, callback) {
+  var pending = records.filter(function(record) {
+    if (record.error) {
+      return false;
+    }
+    var point = geocoderModule.parsePoint(record.point);
+    if (point instanceof geocoderModule.GeocoderError) {
+      record.error = {code: point.code, message: point.message};
+      return false;
+    }
+    return true;
+  });
+  if (!pending.length) {
+    return setImmediate(callback);
+  }
+  var points = pending.map(function(record) {
+    return record.point;
+  });
+  geocoder.lookUp(points, options, function(err, results) {
+    if (err) {
+      return callback(err);
+    }
+    pending.forEach(function(record, i) {
+      record.results = results[i];
+    });
+    return callback();
+  });
+}
+
+module.exports = {
+  lookUpRecords: lookUpRecords
+};
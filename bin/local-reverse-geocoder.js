@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+'use strict';
+
+// Adds the nearest places to the points of a CSV, TSV or GeoJSON file and
+// writes the result to stdout, see the usage below
+
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+var async = require('async');
+var geocoder = require('../geocoder.js');
+var csv = require('../csv.js');
+var batch = require('../batch.js');
+
+var USAGE = [
+  'Usage: local-reverse-geocoder [options] [file]',
+  '       local-reverse-geocoder download [options]',
+  '       local-reverse-geocoder verify [options]',
+  '',
+  'Adds the nearest places to the points of a CSV, TSV or GeoJSON file, or of',
+  'stdin if there is no file, and writes the result to stdout. download',
+  'fetches the GeoNames files to the dump directory, verify checks that all',
+  'of them are there.',
+  '',
+  'Options:',
+  '  --dataset <name>           cities500, cities1000 (default), cities5000,',
+  '                             cities15000 or allCountries',
+  '  --dump-dir <directory>     Where the GeoNames files are kept',
+  '  --language <languages>     Localize the names, e.g. de-CH,de,en',
+  '  --max-results <number>     Places per point, default 1',
+  '  --format <format>          csv, tsv or geojson, by default guessed from',
+  '                             the file extension, csv for stdin',
+  '  --latitude-column <name>   Default latitude, lat or y',
+  '  --longitude-column <name>  Default longitude, lon, lng, long or x',
+  '  --offline                  Never download, fail if files are missing',
+  '  -h, --help                 Show this help'
+].join('\n');
+
+var OPTIONS = {
+  '--dataset': 'dataset',
+  '--dump-dir': 'dumpDirectory',
+  '--language': 'language',
+  '--max-results': 'maxResults',
+  '--format': 'format',
+  '--latitude-column': 'latitudeColumn',
+  '--longitude-column': 'longitudeColumn'
+};
+
+var FORMATS = ['csv', 'tsv', 'geojson'];
+
+var LATITUDE_COLUMNS = ['latitude', 'lat', 'y'];
+var LONGITUDE_COLUMNS = ['longitude', 'lon', 'lng', 'long', 'x'];
+
+// What is added to each CSV row or GeoJSON feature for each place
+var PLACE_COLUMNS = ['geoNameId', 'city', 'admin1', 'admin2', 'countryCode',
+    'country', 'distance'];
+
+var CHUNK_SIZE = 1000;
+
+function exit(message, code) {
+  process.stderr.write('local-reverse-geocoder: ' + message + '\n');
+  process.exit(code);
+}
+
+function parseArguments(argv) {
+  var args = {command: null, file: null, options: {}};
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var match = /^(--[a-z-]+)=(.*)$/.exec(arg);
+    var name = match ? match[1] : arg;
+    if (name === '-h' || name === '--help') {
+      args.help = true;
+    } else if (name === '--offline') {
+      args.options.offline = true;
+    } else if (OPTIONS[name]) {
+      var value = match ? match[2] : argv[++i];
+      if (value === undefined) {
+        throw new Error(name + ' needs a value');
+      }
+      args.options[OPTIONS[name]] = value;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new Error('Unknown option ' + arg);
+    } else if (i === 0 && (arg === 'download' || arg === 'verify')) {
+      args.command = arg;
+    } else if (args.file === null && !args.command) {
+      args.file = arg;
+    } else {
+      throw new Error('Unexpected argument ' + arg);
+    }
+  }
+  var options = args.options;
+  if (options.format === undefined) {
+    var extension = path.extname(args.file || '').toLowerCase();
+    options.format = extension === '.tsv' || extension === '.tab' ? 'tsv' :
+        extension === '.geojson' || extension === '.json' ? 'geojson' :
+        'csv';
+  }
+  if (FORMATS.indexOf(options.format) === -1) {
+    throw new Error('Unknown format ' + options.format + ', use one of ' +
+        FORMATS.join(', '));
+  }
+  if (options.maxResults !== undefined) {
+    if (!/^\d+$/.test(options.maxResults) || Number(options.maxResults) < 1) {
+      throw new Error('--max-results has to be a positive integer');
+    }
+    options.maxResults = Number(options.maxResults);
+  }
+  return args;
+}
+
+// The index of the column named name, or of the first known one if there is
+// no name
+function findColumn(header, name, knownNames) {
+  if (name !== undefined) {
+    return header.indexOf(name);
+  }
+  var lowerCaseHeader = header.map(function(column) {
+    return column.trim().toLowerCase();
+  });
+  for (var i = 0; i < knownNames.length; i++) {
+    var index = lowerCaseHeader.indexOf(knownNames[i]);
+    if (index !== -1) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function describePlace(place) {
+  return {
+    geoNameId: place.geoNameId,
+    city: place.name,
+    admin1: place.admin1Code ? place.admin1Code.name : null,
+    admin2: place.admin2Code ? place.admin2Code.name : null,
+    countryCode: place.countryCode,
+    country: place.country ? place.country.name : null,
+    distance: place.distance
+  };
+}
+
+function warn(record) {
+  process.stderr.write(record.source + ': ' + record.error.message + '\n');
+}
+
+// Streams CSV or TSV from input to stdout, one row per place and point
+function geocodeCsv(input, options, callback) {
+  var delimiter = options.format === 'tsv' ? '\t' : ',';
+  var lookUpOptions = {
+    maxResults: options.maxResults,
+    language: options.language
+  };
+  var ranked = options.maxResults > 1;
+  var lines = readline.createInterface({input: input});
+  var lineNumber = 0;
+  var header = null;
+  var latitudeIndex;
+  var longitudeIndex;
+  var queue = [];
+  var ended = false;
+  var busy = false;
+  var failed = false;
+
+  var fail = function(err) {
+    failed = true;
+    lines.close();
+    return callback(err);
+  };
+  var toLines = function(record) {
+    if (record.error) {
+      warn(record);
+    }
+    var places = record.results && record.results.length ?
+        record.results.map(describePlace) : [null];
+    return places.map(function(place, rank) {
+      var values = PLACE_COLUMNS.map(function(column) {
+        return place ? place[column] : null;
+      });
+      if (ranked) {
+        values.unshift(place ? rank : null);
+      }
+      return csv.toLine(record.fields.concat(values), delimiter);
+    }).join('');
+  };
+  var next = function() {
+    if (busy || failed) {
+      return;
+    }
+    if (queue.length < CHUNK_SIZE && !ended) {
+      return lines.resume();
+    }
+    if (!queue.length) {
+      return callback();
+    }
+    busy = true;
+    var chunk = queue.splice(0, CHUNK_SIZE);
+    batch.lookUpRecords(geocoder, chunk, lookUpOptions, function(err) {
+      busy = false;
+      if (err) {
+        return fail(err);
+      }
+      if (!process.stdout.write(chunk.map(toLines).join(''))) {
+        return process.stdout.once('drain', next);
+      }
+      return setImmediate(next);
+    });
+  };
+
+  lines.on('line', function(line) {
+    lineNumber++;
+    if (failed || !line.trim()) {
+      return;
+    }
+    var fields = csv.parseLine(line, delimiter);
+    if (!header) {
+      header = fields;
+      latitudeIndex = findColumn(header, options.latitudeColumn,
+          LATITUDE_COLUMNS);
+      longitudeIndex = findColumn(header, options.longitudeColumn,
+          LONGITUDE_COLUMNS);
+      if (latitudeIndex === -1 || longitudeIndex === -1) {
+        return fail(new Error('The header has no latitude or longitude ' +
+            'column, name them with --latitude-column and ' +
+            '--longitude-column'));
+      }
+      process.stdout.write(csv.toLine(header.concat(ranked ? ['rank'] : [],
+          PLACE_COLUMNS), delimiter));
+      return;
+    }
+    queue.push({
+      source: 'line ' + lineNumber,
+      fields: fields,
+      point: {
+        latitude: fields[latitudeIndex],
+        longitude: fields[longitudeIndex]
+      }
+    });
+    if (queue.length >= CHUNK_SIZE) {
+      lines.pause();
+      next();
+    }
+  }).on('close', function() {
+    ended = true;
+    next();
+  }).on('error', fail);
+}
+
+// Reads a GeoJSON Feature or FeatureCollection of points as a whole and adds
+// the places to the properties of each point feature, the nearest one
+// directly and with --max-results above 1 all of them as places
+function geocodeGeoJson(input, options, callback) {
+  var lookUpOptions = {
+    maxResults: options.maxResults,
+    language: options.language
+  };
+  var chunks = [];
+  input.on('error', callback).on('data', function(data) {
+    chunks.push(data);
+  }).on('end', function() {
+    var data;
+    try {
+      data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      return callback(new Error('Invalid GeoJSON: ' + e.message));
+    }
+    var features = data && data.type === 'FeatureCollection' ?
+        data.features : data && data.type === 'Feature' ? [data] : null;
+    if (!Array.isArray(features)) {
+      return callback(new Error('Invalid GeoJSON: neither a Feature nor a ' +
+          'FeatureCollection'));
+    }
+    var records = [];
+    features.forEach(function(feature, i) {
+      var geometry = feature && feature.geometry;
+      if (!geometry || geometry.type !== 'Point' ||
+          !Array.isArray(geometry.coordinates)) {
+        return;
+      }
+      records.push({
+        source: 'feature ' + i,
+        feature: feature,
+        point: {
+          latitude: geometry.coordinates[1],
+          longitude: geometry.coordinates[0]
+        }
+      });
+    });
+    var chunkedRecords = [];
+    for (var i = 0; i < records.length; i += CHUNK_SIZE) {
+      chunkedRecords.push(records.slice(i, i + CHUNK_SIZE));
+    }
+    async.eachSeries(chunkedRecords, function(chunk, next) {
+      batch.lookUpRecords(geocoder, chunk, lookUpOptions, next);
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      records.forEach(function(record) {
+        if (record.error) {
+          return warn(record);
+        }
+        var places = record.results.map(describePlace);
+        var properties = record.feature.properties || {};
+        PLACE_COLUMNS.forEach(function(column) {
+          properties[column] = places.length ? places[0][column] : null;
+        });
+        if (options.maxResults > 1) {
+          properties.places = places;
+        }
+        record.feature.properties = properties;
+      });
+      process.stdout.write(JSON.stringify(data) + '\n');
+      return callback();
+    });
+  });
+}
+
+function printSources(sources) {
+  sources.forEach(function(source) {
+    process.stdout.write(source.file + '\t' + source.modified + '\t' +
+        source.size + '\n');
+  });
+}
+
+function main() {
+  var args;
+  try {
+    args = parseArguments(process.argv.slice(2));
+  } catch (e) {
+    return exit(e.message + '\n\n' + USAGE, 2);
+  }
+  if (args.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  var options = args.options;
+  var initOptions = {
+    dataset: options.dataset,
+    dumpDirectory: options.dumpDirectory && path.resolve(options.dumpDirectory),
+    offline: options.offline
+  };
+  if (args.command) {
+    return geocoder[args.command](initOptions, function(err, sources) {
+      if (err) {
+        return exit(err.message, 1);
+      }
+      return printSources(sources);
+    });
+  }
+  // Rather now than after loading the GeoNames data
+  if (args.file && args.file !== '-' && !fs.existsSync(args.file)) {
+    return exit('Cannot read ' + args.file, 1);
+  }
+  geocoder.init(initOptions, function(err) {
+    if (err) {
+      return exit(err.message, 1);
+    }
+    var input = args.file && args.file !== '-' ?
+        fs.createReadStream(args.file) : process.stdin;
+    var geocode = options.format === 'geojson' ? geocodeGeoJson : geocodeCsv;
+    geocode(input, options, function(err) {
+      if (err) {
+        return exit(err.message, 1);
+      }
+    });
+  });
+}
+
+main();
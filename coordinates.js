@@ -0,0 +1,153 @@
+'use strict';
+
+// Parses latitudes and longitudes as people write them: decimal degrees,
+// degrees, minutes and seconds (DMS) or degrees and decimal minutes (DDM),
+// separated by colons, spaces or the symbols ° ′ ″ (or ' and "), with a sign
+// or an N, S, E or W before or after them
+
+// Degree, minute and second symbols, with their look-alikes, and the
+// position of the component each one ends
+var UNITS = {
+  '\u00b0': 0, // Degree sign
+  '\u00ba': 0, // Masculine ordinal indicator
+  '\u02da': 0, // Ring above
+  '\u2032': 1, // Prime
+  '\u2019': 1, // Right single quotation mark
+  '\'': 1,
+  '\u2033': 2, // Double prime
+  '\u201d': 2, // Right double quotation mark
+  '"': 2,
+  '\'\'': 2
+};
+
+var COMPONENT = new RegExp('^(\\d+(?:\\.\\d*)?|\\.\\d+)\\s*(\'\'|[' +
+    Object.keys(UNITS).filter(function(unit) {
+      return unit.length === 1;
+    }).join('') + '])?\\s*:?\\s*');
+
+// Returns the angle in degrees, or null if value is none. hemispheres are the
+// letters allowed, e.g. 'NS', of which the second one makes it negative
+var parseAngle = function(value, hemispheres) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  var text = value.trim().toUpperCase().replace(/\u2212/g, '-');
+  var sign = 1;
+  var hemisphere = /^[NSEW]/.exec(text) || /[NSEW]$/.exec(text);
+  if (hemisphere) {
+    var letter = hemisphere[0];
+    if (hemispheres.indexOf(letter) === -1) {
+      return null;
+    }
+    sign = letter === hemispheres.charAt(1) ? -1 : 1;
+    text = (hemisphere.index ? text.substr(0, hemisphere.index) :
+        text.substr(1)).trim();
+  }
+  if (/^[+-]/.test(text)) {
+    // Either a sign or a hemisphere, not both
+    if (hemisphere) {
+      return null;
+    }
+    sign = text.charAt(0) === '-' ? -1 : 1;
+    text = text.substr(1).trim();
+  }
+  var components = [];
+  while (text) {
+    var match = COMPONENT.exec(text);
+    if (!match || components.length === 3 ||
+        (match[2] && UNITS[match[2]] !== components.length)) {
+      return null;
+    }
+    components.push(Number(match[1]));
+    text = text.substr(match[0].length);
+  }
+  if (!components.length) {
+    return null;
+  }
+  var degrees = 0;
+  for (var i = 0, lenI = components.length; i < lenI; i++) {
+    // Only the last component may have decimals, minutes and seconds stay
+    // below 60
+    if ((i < lenI - 1 && Math.floor(components[i]) !== components[i]) ||
+        (i > 0 && components[i] >= 60)) {
+      return null;
+    }
+    degrees += components[i] / Math.pow(60, i);
+  }
+  return sign * degrees;
+};
+
+/**
+ * Parses a latitude in any of the notations above, e.g. '48.4667',
+ * '-48:28', '48°28.5′N' or 'S 48 28 0'. Returns it in decimal degrees, or
+ * null if it is invalid or not within ±90.
+ */
+var parseLatitude = function(value) {
+  var latitude = parseAngle(value, 'NS');
+  return latitude !== null && Math.abs(latitude) <= 90 ? latitude : null;
+};
+
+/**
+ * Parses a longitude in any of the notations above, e.g. '9.1333',
+ * '9°8′E' or '-0:30'. Returns it in decimal degrees, or null if it is
+ * invalid or not within ±360. Longitudes past the antimeridian are wrapped
+ * around to ±180, so 190 becomes -170.
+ */
+var parseLongitude = function(value) {
+  var longitude = parseAngle(value, 'EW');
+  // Farther out it is rather a typo than a longitude
+  if (longitude === null || Math.abs(longitude) > 360) {
+    return null;
+  }
+  if (longitude < -180 || longitude > 180) {
+    longitude = ((longitude + 180) % 360 + 360) % 360 - 180;
+  }
+  return longitude;
+};
+
+/**
+ * Parses a latitude and a longitude in one string, separated by a comma or
+ * whitespace, e.g. '48.4667,9.1333' or '48°28′N 9°8′E'. Hemisphere letters
+ * may put the longitude first, e.g. '9°8′E, 48°28′N'. Returns
+ * {latitude, longitude}, or null if either is invalid.
+ */
+var parseLatLng = function(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  var text = value.trim().toUpperCase();
+  var parts = text.split(',');
+  if (parts.length !== 2) {
+    // Without a comma, the whitespace after the first coordinate splits
+    var match = /^([NSEW]?[^NSEW,]+[NSEW]?)\s+([NSEW]?[^NSEW,]+[NSEW]?)$/
+        .exec(text);
+    if (!match) {
+      return null;
+    }
+    parts = [match[1], match[2]];
+  }
+  var isLongitude = function(part) {
+    return /^\s*[EW]|[EW]\s*$/.test(part);
+  };
+  var isLatitude = function(part) {
+    return /^\s*[NS]|[NS]\s*$/.test(part);
+  };
+  if (isLongitude(parts[0]) || isLatitude(parts[1])) {
+    parts.reverse();
+  }
+  var latitude = parseLatitude(parts[0]);
+  var longitude = parseLongitude(parts[1]);
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+  return {latitude: latitude, longitude: longitude};
+};
+
+module.exports = {
+  parseLatitude: parseLatitude,
+  parseLongitude: parseLongitude,
+  parseLatLng: parseLatLng
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+// Line based CSV reading and writing for the batch endpoint of app.js and
+// the command-line tool. Fields cannot contain line breaks
+
+// Splits a CSV line, fields may be quoted with " and contain "" for a quote
+function parseLine(line, delimiter) {
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var character = line.charAt(i);
+    if (quoted) {
+      if (character === '"' && line.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Joins values to a CSV line, quoting them where needed
+function toLine(values, delimiter) {
+  return values.map(function(value) {
+    value = value === null || value === undefined ? '' : String(value);
+    if (value.indexOf(delimiter) !== -1 || /["\r\n]/.test(value)) {
+      value = '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+  }).join(delimiter) + '\n';
+}
+
+module.exports = {
+  parseLine: parseLine,
+  toLine: toLine
+};
@@ -5,7 +5,9 @@
  *
  * @param {(object|object[])} points One single or an array of
  *                                   latitude/longitude pairs
- * @param {integer} maxResults The maximum number of results to return
+ * @param {(integer|object)} maxResults The maximum number of results to
+ *                                      return, or an object with maxResults
+ *                                      and language options
  * @callback callback The callback function with the results
  *
  * @returns {object[]} An array of GeoNames-based geocode results
@@ -36,16 +38,48 @@ var kdTree = require('kdt');
 var request = require('request');
 var unzip = require('unzip2');
 var async = require('async');
+var crypto = require('crypto');
+var tar = require('tar');
+var h3 = require('h3-js');
+var coordinates = require('./coordinates.js');
 
 // All data from http://download.geonames.org/export/dump/
 var GEONAMES_URL = 'http://download.geonames.org/export/dump/';
 
 var CITIES_FILE = 'cities1000';
+var DATASETS = ['cities500', 'cities1000', 'cities5000', 'cities15000',
+    'allCountries'];
+// See http://www.geonames.org/export/codes.html
+var FEATURE_CLASSES = ['A', 'H', 'L', 'P', 'R', 'S', 'T', 'U', 'V'];
 var ADMIN_1_CODES_FILE = 'admin1CodesASCII';
 var ADMIN_2_CODES_FILE = 'admin2Codes';
 var ALL_COUNTRIES_FILE = 'allCountries';
 var ALTERNATE_NAMES_FILE = 'alternateNames';
 var COUNTRY_INFO_FILE = 'countryInfo';
+var TIME_ZONES_FILE = 'timeZones';
+var SHAPES_FILE = 'shapes_simplified_low';
+
+// Postal codes come from http://download.geonames.org/export/zip/
+var POSTAL_CODES_URL = 'http://download.geonames.org/export/zip/';
+var POSTAL_CODES_FILE = 'allCountries';
+
+// Where the files of an imported bundle go in the dump directory
+var DUMP_SUBDIRS = {
+  alternateNames: 'alternate_names',
+  cities500: 'cities',
+  cities1000: 'cities',
+  cities5000: 'cities',
+  cities15000: 'cities',
+  allCountries: 'all_countries',
+  countryInfo: 'country_info',
+  timeZones: 'time_zones',
+  admin1CodesASCII: 'admin1_codes',
+  admin2Codes: 'admin2_codes',
+  shapes_simplified_low: 'shapes',
+  // The postal codes are zipped as allCountries.zip too, a bundle keeps them
+  // in a zip directory as the GeoNames server does
+  'zip/allCountries': 'postal_codes'
+};
 
 /* jshint maxlen: false */
 var GEONAMES_COLUMNS = [
@@ -71,6 +105,31 @@ var GEONAMES_COLUMNS = [
 ];
 /* jshint maxlen: 120 */
 
+var GEONAMES_COUNTRY_INFO_COLUMNS = [
+  'countryCode', // ISO-3166 2-letter country code
+  'iso3', // ISO-3166 3-letter country code
+  'isoNumeric', // ISO-3166 numeric country code
+  'fips', // FIPS 10-4 country code
+  'name', // country name
+  'capital', // name of the capital
+  'area', // in square kilometers
+  'population',
+  'continent', // AF, AN, AS, EU, NA, OC or SA
+  'tld', // top level domain, e.g. '.de'
+  'currencyCode', // ISO-4217 currency code
+  'currencyName',
+  'phone', // international dialing prefix
+  'postalCodeFormat', // e.g. '#####'
+  'postalCodeRegex',
+  'languages', // comma separated, e.g. 'de-CH,fr-CH,it-CH,rm'
+  'geoId', // geoNameId of the country
+  'neighbours', // comma separated ISO-3166 2-letter country codes
+  'equivalentFipsCode'
+];
+
+// List columns of countryInfo.txt that are split into arrays
+var GEONAMES_COUNTRY_INFO_LISTS = ['languages', 'neighbours'];
+
 var GEONAMES_ADMIN_CODES_COLUMNS = [
   'concatenatedCodes',
   'name',
@@ -91,19 +150,540 @@ var GEONAMES_ALTERNATE_NAMES_COLUMNS = [
 ];
 /* jshint maxlen: 120 */
 
+/* jshint maxlen: false */
+var GEONAMES_POSTAL_CODES_COLUMNS = [
+  'countryCode', // iso country code, 2 characters
+  'postalCode', // varchar(20)
+  'placeName', // varchar(180)
+  'admin1Name', // 1. order subdivision (state) varchar(100)
+  'admin1Code', // 1. order subdivision (state) varchar(20)
+  'admin2Name', // 2. order subdivision (county/province) varchar(100)
+  'admin2Code', // 2. order subdivision (county/province) varchar(20)
+  'admin3Name', // 3. order subdivision (community) varchar(100)
+  'admin3Code', // 3. order subdivision (community) varchar(20)
+  'latitude', // estimated latitude (wgs84)
+  'longitude', // estimated longitude (wgs84)
+  'accuracy' // accuracy of lat/lng from 1=estimated, 4=geonameid, 6=centroid of addresses or shape
+];
+/* jshint maxlen: 120 */
+
+// Alternate name "languages" that are really codes, not names of the place
+var NON_LANGUAGE_CODES = ['post', 'iata', 'icao', 'faac', 'abbr', 'link',
+    'wkdt', 'unlc'];
+
 var GEONAMES_DUMP = __dirname + '/geonames_dump';
 
-var geocoder = {
+// Bump whenever the layout of the snapshot files changes
+var SNAPSHOT_VERSION = 3;
+
+/**
+ * The error passed to callbacks and used to reject Promises. Its code tells
+ * what went wrong:
+ *
+ * - NOT_INITIALIZED: lookUp or search was called before init finished
+ * - INVALID_COORDINATE: a point lacks a valid latitude or longitude
+ * - INVALID_ARGUMENT: any other argument or option is invalid
+ * - DOWNLOAD_FAILED: a GeoNames file could not be downloaded or unzipped
+ * - MISSING_FILES: offline mode, but GeoNames files are missing
+ * - IMPORT_FAILED: a bundle could not be imported
+ * - PARSE_FAILED: a GeoNames or boundaries file could not be read or parsed
+ * - WORKER_FAILED: a worker thread could not be started or failed
+ *
+ * @param {string} code One of the codes above
+ * @param {string} message Human readable description
+ * @param {Error} [cause] The underlying error, if any
+ */
+function GeocoderError(code, message, cause) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, GeocoderError);
+  }
+  this.name = 'GeocoderError';
+  this.code = code;
+  this.message = message;
+  if (cause) {
+    this.cause = cause;
+  }
+}
+GeocoderError.prototype = Object.create(Error.prototype);
+GeocoderError.prototype.constructor = GeocoderError;
+
+var GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Returns the center of a geohash cell, or null if it is none
+var decodeGeohash = function(geohash) {
+  if (typeof geohash !== 'string' || !geohash) {
+    return null;
+  }
+  var ranges = [[-180, 180], [-90, 90]];
+  var bit = 0;
+  geohash = geohash.toLowerCase();
+  for (var i = 0, lenI = geohash.length; i < lenI; i++) {
+    var value = GEOHASH_BASE32.indexOf(geohash.charAt(i));
+    if (value === -1) {
+      return null;
+    }
+    // Bits alternate between longitude and latitude, longitude first
+    for (var shift = 4; shift >= 0; shift--) {
+      var range = ranges[bit++ % 2];
+      range[(value >> shift) & 1 ? 0 : 1] = (range[0] + range[1]) / 2;
+    }
+  }
+  return {
+    latitude: (ranges[1][0] + ranges[1][1]) / 2,
+    longitude: (ranges[0][0] + ranges[0][1]) / 2
+  };
+};
+
+var encodeGeohash = function(latitude, longitude, precision) {
+  var ranges = [[-180, 180], [-90, 90]];
+  var coordinates = [longitude, latitude];
+  var geohash = '';
+  var bit = 0;
+  var value = 0;
+  while (geohash.length < precision) {
+    var range = ranges[bit % 2];
+    var middle = (range[0] + range[1]) / 2;
+    var high = coordinates[bit % 2] >= middle;
+    range[high ? 0 : 1] = middle;
+    value = value * 2 + (high ? 1 : 0);
+    if (++bit % 5 === 0) {
+      geohash += GEOHASH_BASE32.charAt(value);
+      value = 0;
+    }
+  }
+  return geohash;
+};
+
+// Returns the center of an H3 cell, or null if it is none
+var decodeH3Cell = function(cell) {
+  if (typeof cell !== 'string' || !h3.isValidCell(cell)) {
+    return null;
+  }
+  var center = h3.cellToLatLng(cell);
+  return {latitude: center[0], longitude: center[1]};
+};
+
+// The scores of the ranking strategies of lookUp by place record and
+// distance in km, lower ranks first
+var RANKINGS = {
+  // Cities are modeled as circles with equal population density, so the
+  // distance is weighted by the inverse square root of the population
+  population: function(place, distance) {
+    return distance * distance / (100 + (Number(place.population) || 0));
+  },
+  distance: function(place, distance) {
+    return distance;
+  }
+};
+
+// How many of the nearest cities lookUp looks through at most for ones whose
+// feature code is not excluded
+var MAX_EXCLUSION_CANDIDATES = 1000;
+
+// The levels of countries and admin units, with the field of a city that
+// holds their code and the map of their admin objects
+var ADMIN_LEVELS = [
+  {name: 'country', field: 'countryCode', codes: '_countryInfo'},
+  {name: 'admin1', field: 'admin1Code', codes: '_admin1Codes'},
+  {name: 'admin2', field: 'admin2Code', codes: '_admin2Codes'},
+  {name: 'admin3', field: 'admin3Code', codes: '_admin3Codes'},
+  {name: 'admin4', field: 'admin4Code', codes: '_admin4Codes'}
+];
+
+// Returns {latitude, longitude} as numbers, or null unless both are numbers
+// or strings that parseLatitude and parseLongitude accept. A point may also
+// be a geohash or H3 cell, which stands for its center
+var parseCoordinates = function(point) {
+  if (point && point.geohash !== undefined) {
+    return decodeGeohash(point.geohash);
+  }
+  if (point && point.h3 !== undefined) {
+    return decodeH3Cell(point.h3);
+  }
+  // The same rules as for the coordinates of the Web service's parameters
+  var latitude = coordinates.parseLatitude(point && point.latitude);
+  var longitude = coordinates.parseLongitude(point && point.longitude);
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+  return {latitude: latitude, longitude: longitude};
+};
+
+// Calls fn with a Node style callback appended to args, and returns a Promise
+// that settles with whatever the callback receives
+var callWithPromise = function(fn, that, args) {
+  return new Promise(function(resolve, reject) {
+    fn.apply(that, args.concat(function(err, result) {
+      if (err) {
+        return reject(err);
+      }
+      return resolve(result);
+    }));
+  });
+};
+
+// Copies options over defaults, the load flags are merged one level deeper.
+// Neither argument is modified
+var mergeOptions = function(defaults, options) {
+  var merged = {load: {}};
+  [defaults, options].forEach(function(source) {
+    source = source || {};
+    for (var key in source) {
+      if (key !== 'load') {
+        merged[key] = source[key];
+      }
+    }
+    for (var flag in source.load || {}) {
+      merged.load[flag] = source.load[flag];
+    }
+  });
+  return merged;
+};
+
+// Copies arrays and plain objects all the way down, so results can be
+// changed without touching the records they were made from
+var deepCopy = function(value) {
+  if (Array.isArray(value)) {
+    return value.map(deepCopy);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  var copy = {};
+  for (var key in value) {
+    copy[key] = deepCopy(value[key]);
+  }
+  return copy;
+};
+
+// Turns the sources of _getSources() into what getDataVersion(), download()
+// and verify() report
+var describeSources = function(sources) {
+  return sources.map(function(source) {
+    return {
+      file: source.file,
+      modified: new Date(source.modified).toISOString(),
+      size: source.size
+    };
+  });
+};
+
+// Returns a timestamp in milliseconds for a Date, a number of milliseconds
+// or a date string, NaN if it is none of these or out of the Date range
+var parseTimestamp = function(value) {
+  var timestamp = NaN;
+  if (value instanceof Date || typeof value === 'number') {
+    timestamp = Number(value);
+  } else if (typeof value === 'string' && value.trim() !== '') {
+    timestamp = isNaN(value) ? Date.parse(value) : Number(value);
+  }
+  return isNaN(new Date(timestamp).getTime()) ? NaN : timestamp;
+};
+
+// Parses a point as lookUp() takes it, see parseCoordinates, with its
+// timestamp if it has one. Returns a GeocoderError for a point lookUp()
+// rejects, naming the index if one is given
+var parsePoint = function(point, index) {
+  var at = index === undefined ? '' : ' at index ' + index;
+  var parsed = parseCoordinates(point);
+  var err;
+  if (!parsed) {
+    var isCell = point && (point.geohash !== undefined ||
+        point.h3 !== undefined);
+    err = new GeocoderError('INVALID_COORDINATE', 'Invalid ' +
+        (isCell ? 'cell' : 'latitude/longitude pair') + at + ': ' +
+        JSON.stringify(point));
+    err.index = index;
+    return err;
+  }
+  // A point may say when it was taken, for the time zone offset then
+  if (point.timestamp !== undefined && point.timestamp !== null) {
+    parsed.timestamp = parseTimestamp(point.timestamp);
+    if (isNaN(parsed.timestamp)) {
+      err = new GeocoderError('INVALID_ARGUMENT', 'Invalid timestamp' + at +
+          ': ' + JSON.stringify(point.timestamp));
+      err.index = index;
+      return err;
+    }
+  }
+  return parsed;
+};
+
+// Turns a language or an ordered list of languages (an array or a comma
+// separated string) into the list of alternate name languages to try, each
+// regional variant followed by its base language: 'de-CH' gives
+// ['de-CH', 'de']. Returns null for no language
+var parseLanguages = function(language) {
+  if (language === undefined || language === null || language === '') {
+    return null;
+  }
+  var languages = [];
+  var add = function(tag) {
+    if (tag && languages.indexOf(tag) === -1) {
+      languages.push(tag);
+    }
+  };
+  (Array.isArray(language) ? language : String(language).split(','))
+      .forEach(function(tag) {
+    tag = String(tag).trim();
+    add(tag);
+    add(tag.split('-')[0]);
+  });
+  return languages.length ? languages : null;
+};
+
+// Creating formatters is slow, so there is one per time zone
+var timeZoneFormatters = {};
+
+// Returns the UTC offset in hours of a time zone at a timestamp, or null if
+// the time zone is unknown to the ICU data of this Node.js build
+var getUtcOffset = function(timeZoneId, timestamp) {
+  var formatter = timeZoneFormatters[timeZoneId];
+  if (formatter === undefined) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZoneId,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (e) {
+      formatter = null;
+    }
+    timeZoneFormatters[timeZoneId] = formatter;
+  }
+  if (!formatter) {
+    return null;
+  }
+  var parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(function(part) {
+    parts[part.type] = Number(part.value);
+  });
+  // The local wall clock time read as if it was UTC, minus the actual time
+  var wallClock = Date.UTC(parts.year, parts.month - 1, parts.day,
+      parts.hour, parts.minute, parts.second);
+  return (wallClock - Math.floor(timestamp / 1000) * 1000) / 3600000;
+};
+
+// A least recently used cache of at most maxSize entries that counts its
+// hits and misses. Maps iterate in insertion order, so the first key is the
+// least recently used one
+var createLruCache = function(maxSize, precision) {
+  var entries = new Map();
+  var cache = {
+    maxSize: maxSize,
+    precision: precision,
+    hits: 0,
+    misses: 0,
+    get: function(key) {
+      var value = entries.get(key);
+      if (value === undefined) {
+        cache.misses++;
+        return undefined;
+      }
+      cache.hits++;
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set: function(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    size: function() {
+      return entries.size;
+    }
+  };
+  return cache;
+};
+
+// Starts size worker threads that each init() a geocoder of their own with
+// options, and calls back once all are ready with a pool that runs lookUp()
+// jobs on them, one job per worker at a time. Idle workers do not keep the
+// process alive
+var createWorkerPool = function(size, options, callback) {
+  var Worker;
+  try {
+    Worker = require('worker_threads').Worker;
+  } catch (e) {
+    return setImmediate(callback, new GeocoderError('INVALID_ARGUMENT',
+        'The workers option needs a Node.js version with worker_threads', e));
+  }
+  var workers = [];
+  var queue = [];
+  var starting = size;
+  var closing = false;
+  var pool = {
+    size: size,
+    lookUp: function(points, lookUpOptions, jobCallback) {
+      if (!workers.length) {
+        return setImmediate(jobCallback, new GeocoderError('WORKER_FAILED',
+            'No worker is running'));
+      }
+      queue.push({
+        points: points,
+        options: lookUpOptions,
+        callback: jobCallback
+      });
+      dispatch();
+    },
+    // Ends the workers once they have finished what they are doing
+    close: function() {
+      closing = true;
+      dispatch();
+    }
+  };
+  var dispatch = function() {
+    workers.forEach(function(worker) {
+      if (worker.job) {
+        return;
+      }
+      if (queue.length) {
+        worker.job = queue.shift();
+        worker.ref();
+        return worker.postMessage({
+          points: worker.job.points,
+          options: worker.job.options
+        });
+      }
+      worker.unref();
+      if (closing) {
+        worker.terminate();
+      }
+    });
+  };
+  // A worker that failed or ended is dropped, its job is failed
+  var remove = function(worker, err) {
+    var index = workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+    workers.splice(index, 1);
+    if (starting) {
+      starting = 0;
+      pool.close();
+      return callback(err);
+    }
+    if (worker.job) {
+      worker.job.callback(err);
+      worker.job = null;
+    }
+    if (!workers.length) {
+      queue.splice(0).forEach(function(job) {
+        job.callback(err);
+      });
+    }
+  };
+  for (var i = 0; i < size; i++) {
+    var worker = new Worker(path.join(__dirname, 'worker.js'), {
+      workerData: options
+    });
+    worker.job = null;
+    worker.on('message', function(message) {
+      // this is the worker
+      if (message.type === 'failed') {
+        return remove(this, new GeocoderError(message.error.code,
+            'Worker failed: ' + message.error.message));
+      }
+      if (message.type === 'ready') {
+        if (!--starting) {
+          dispatch();
+          return callback(null, pool);
+        }
+        return;
+      }
+      var job = this.job;
+      this.job = null;
+      if (message.error) {
+        job.callback(new GeocoderError(message.error.code,
+            message.error.message));
+      } else {
+        job.callback(null, message.results);
+      }
+      dispatch();
+    }).on('error', function(err) {
+      remove(this, new GeocoderError('WORKER_FAILED', 'Worker failed: ' +
+          err.message, err));
+    }).on('exit', function(code) {
+      remove(this, new GeocoderError('WORKER_FAILED', 'Worker ended with ' +
+          'exit code ' + code));
+    });
+    workers.push(worker);
+  }
+};
+
+// What refresh() takes over from the freshly initialized geocoder. Everything
+// init() loads has to be listed here
+var REFRESHED_FIELDS = ['_dataset', '_featureClasses', '_kdTree', '_cities',
+    '_countryInfo', '_admin1Codes', '_admin2Codes', '_admin3Codes',
+    '_admin4Codes', '_boundaries', '_countryKdTrees', '_nameIndex',
+    '_nameIndexKeys', '_bounds', '_timeZones', '_postalCodes', '_postalCodesKdTree',
+    '_postalCodeIndex', '_dataVersion', '_workers', '_workerThreshold',
+    '_cache', '_adminHierarchy'];
+
+// What init() takes over from the geocoder it loaded into: the data and the
+// settings the downloads depend on
+var INITIALIZED_FIELDS = REFRESHED_FIELDS.concat(['_dumpDirectory',
+    '_geoNamesUrl', '_postalCodesUrl', '_offline']);
+
+// Shared by all geocoder instances, the state lives in the instances that
+// createGeocoder() returns
+var geocoderPrototype = {
+
+  // Settles once the first init() has finished
+  ready: null,
+  _resolveReady: null,
+  _rejectReady: null,
+
+  // Defaults for init() as passed to createGeocoder()
+  _options: null,
+  _dumpDirectory: GEONAMES_DUMP,
+  _geoNamesUrl: GEONAMES_URL,
+  _postalCodesUrl: POSTAL_CODES_URL,
+  _offline: false,
+
+  _dataset: CITIES_FILE,
+  _featureClasses: null,
+
+  _initOptions: null,
+  _dataVersion: null,
+  _refreshTimer: null,
+  _refreshCallbacks: null,
 
   _kdTree: null,
 
   _countryInfo: null,
+  _timeZones: null,
   _admin1Codes: null,
   _admin2Codes: null,
   _admin3Codes: null,
   _admin4Codes: null,
   _alternateNames: null,
 
+  _cities: null,
+  _boundaries: null,
+  _countryKdTrees: null,
+  _nameIndex: null,
+  _nameIndexKeys: null,
+  _bounds: null,
+  _adminHierarchy: null,
+
+  _postalCodes: null,
+  _postalCodesKdTree: null,
+  _postalCodeIndex: null,
+
+  _workers: null,
+  _workerThreshold: 1000,
+  _cache: null,
+
   // Distance function taken from
   // http://www.movable-type.co.uk/scripts/latlong.html
   _distanceFunc: function distance(x, y) {
@@ -127,10 +707,45 @@ var geocoder = {
     return R * c;
   },
 
-  _getGeoDataZipFile: function(callback, subdir, fileBaseName, displayName) {
+  // Removes earlier downloads of a file. Only files of the same base name are
+  // touched, as several datasets may share a directory
+  _removeOldFiles: function(directory, fileBaseName, currentFileName) {
+    fs.readdirSync(directory).forEach(function(file) {
+      if (file !== currentFileName &&
+          (file.indexOf(fileBaseName + '_') === 0 ||
+           file === fileBaseName + '.txt' || file === fileBaseName + '.zip')) {
+        fs.unlinkSync(directory + '/' + file);
+      }
+    });
+  },
+
+  // Returns a readline interface for a file. Read errors close it and are
+  // left in its error property as PARSE_FAILED for the close handler
+  _createLineReader: function(pathToFile) {
+    var input = fs.createReadStream(pathToFile);
+    var lineReader = require('readline').createInterface({
+      input: input
+    });
+    lineReader.error = null;
+    input.on('error', function(err) {
+      lineReader.error = new GeocoderError('PARSE_FAILED', 'Cannot read ' +
+          pathToFile + ': ' + err.message, err);
+      lineReader.close();
+    });
+    return lineReader;
+  },
+
+  _getGeoDataZipFile: function(callback, subdir, fileBaseName, displayName,
+      zipFileBaseName, baseUrl) {
+    // Most dumps are zipped under their own name, shapes are not
+    zipFileBaseName = zipFileBaseName || fileBaseName;
+    // Postal codes come from another directory on the server
+    baseUrl = baseUrl || this._geoNamesUrl;
+    var that = this;
+    var dumpDirectory = this._dumpDirectory;
     var now = (new Date()).toISOString().substr(0, 10);
     // Use timestamped file OR bare file
-    var timestampedFilename = GEONAMES_DUMP + '/' + subdir + '/' +
+    var timestampedFilename = dumpDirectory + '/' + subdir + '/' +
         fileBaseName + '_' + now + '.txt';
     if (fs.existsSync(timestampedFilename)) {
       debug('Using cached GeoNames ' + displayName + ' data from ' +
@@ -138,64 +753,94 @@ var geocoder = {
       return callback(null, timestampedFilename);
     }
 
-    var filename = GEONAMES_DUMP + '/' + subdir + '/' + fileBaseName + '.txt';
+    var filename = dumpDirectory + '/' + subdir + '/' + fileBaseName + '.txt';
     if (fs.existsSync(filename)) {
       debug('Using cached GeoNames ' + displayName + ' data from ' +
           filename);
       return callback(null, filename);
     }
 
+    if (this._offline) {
+      return callback(new GeocoderError('MISSING_FILES', 'Missing GeoNames ' +
+          displayName + ' data, expected ' + filename + ' or ' +
+          timestampedFilename));
+    }
+
     debug('Getting GeoNames ' + displayName  + ' data from ' +
-        GEONAMES_URL + fileBaseName + '.zip (this may take a while)');
+        baseUrl + zipFileBaseName + '.zip (this may take a while)');
     var options = {
       proxy: process.env.PROXY,
-      url: GEONAMES_URL + fileBaseName + '.zip',
+      url: baseUrl + zipFileBaseName + '.zip',
       encoding: null
     };
     request.get(options, function(err, response, body) {
       if (err || response.statusCode !== 200) {
-        return callback('Error downloading GeoNames ' + displayName + ' data' +
-            (err ? ': ' + err : ''));
+        return callback(new GeocoderError('DOWNLOAD_FAILED',
+            'Error downloading GeoNames ' + displayName + ' data' +
+            (err ? ': ' + err.message : ' (HTTP ' + response.statusCode + ')'),
+            err));
       }
       debug('Received zipped GeoNames ' + displayName + ' data');
       // Store a dump locally
-      if (!fs.existsSync(GEONAMES_DUMP + '/' + subdir)) {
-        fs.mkdirSync(GEONAMES_DUMP + '/' + subdir);
+      if (!fs.existsSync(dumpDirectory + '/' + subdir)) {
+        fs.mkdirSync(dumpDirectory + '/' + subdir);
       }
-      var zipFilename = GEONAMES_DUMP + '/' + subdir + '/' +
+      var zipFilename = dumpDirectory + '/' + subdir + '/' +
           fileBaseName + '_' + now + '.zip';
+      // An error may be followed by a close, only the first one counts
+      var done = false;
+      var finish = function(err, result) {
+        if (done) {
+          return;
+        }
+        done = true;
+        return callback(err, result);
+      };
       try {
         fs.writeFileSync(zipFilename, body);
         fs.createReadStream(zipFilename)
-            .pipe(unzip.Extract({path: GEONAMES_DUMP + '/' + subdir}))
+            .pipe(unzip.Extract({path: dumpDirectory + '/' + subdir}))
             .on('error', function(e) {
-              console.error(e);
+              return finish(new GeocoderError('DOWNLOAD_FAILED',
+                  'Error unzipping GeoNames ' + displayName + ' data: ' +
+                  e.message, e));
             })
             .on('close', function() {
-              fs.renameSync(filename, timestampedFilename);
-              fs.unlinkSync(zipFilename);
-              debug('Unzipped GeoNames ' + displayName + ' data');
-              // Housekeeping, remove old files
-              var currentFileName = path.basename(timestampedFilename);
-              fs.readdirSync(GEONAMES_DUMP + '/' + subdir).forEach(
-                  function(file) {
-                if (file !== currentFileName) {
-                  fs.unlinkSync(GEONAMES_DUMP + '/' + subdir + '/' + file);
-                }
-              });
-              return callback(null, timestampedFilename);
+              if (done) {
+                return;
+              }
+              try {
+                // The shapes zip holds shapes_simplified_low.json, the others
+                // a .txt file of their own name
+                var unzipped = fs.existsSync(filename) ? filename :
+                    dumpDirectory + '/' + subdir + '/' + zipFileBaseName;
+                fs.renameSync(unzipped, timestampedFilename);
+                fs.unlinkSync(zipFilename);
+                debug('Unzipped GeoNames ' + displayName + ' data');
+                // Housekeeping, remove old files
+                that._removeOldFiles(dumpDirectory + '/' + subdir,
+                    fileBaseName, path.basename(timestampedFilename));
+              } catch (e) {
+                return finish(new GeocoderError('DOWNLOAD_FAILED',
+                    'Error unzipping GeoNames ' + displayName + ' data: ' +
+                    e.message, e));
+              }
+              return finish(null, timestampedFilename);
             });
       } catch (e) {
-        debug('Warning: ' + e);
-        return callback(null, timestampedFilename);
+        return finish(new GeocoderError('DOWNLOAD_FAILED',
+            'Error storing GeoNames ' + displayName + ' data: ' + e.message,
+            e));
       }
     });
   },
   
   _getGeoDataTextFile: function(callback, subdir, fileBaseName, displayName) {
+    var that = this;
+    var dumpDirectory = this._dumpDirectory;
     var now = (new Date()).toISOString().substr(0, 10);
     // Use timestamped file OR bare file
-    var timestampedFilename = GEONAMES_DUMP + '/' + subdir + '/' +
+    var timestampedFilename = dumpDirectory + '/' + subdir + '/' +
         fileBaseName + '_' + now + '.txt';
     if (fs.existsSync(timestampedFilename)) {
       debug('Using cached GeoNames ' + displayName + ' data from ' +
@@ -203,43 +848,48 @@ var geocoder = {
       return callback(null, timestampedFilename);
     }
 
-    var filename = GEONAMES_DUMP + '/' + subdir + '/' + fileBaseName + '.txt';
+    var filename = dumpDirectory + '/' + subdir + '/' + fileBaseName + '.txt';
     if (fs.existsSync(filename)) {
       debug('Using cached GeoNames ' + displayName + ' data from ' +
           filename);
       return callback(null, filename);
     }
 
+    if (this._offline) {
+      return callback(new GeocoderError('MISSING_FILES', 'Missing GeoNames ' +
+          displayName + ' data, expected ' + filename + ' or ' +
+          timestampedFilename));
+    }
+
     debug('Getting GeoNames ' + displayName  + ' data from ' +
-        GEONAMES_URL + fileBaseName + '.txt (this may take a while)');
+        this._geoNamesUrl + fileBaseName + '.txt (this may take a while)');
     var options = {
     proxy: process.env.PROXY,
-      url: GEONAMES_URL + fileBaseName + '.txt',
+      url: this._geoNamesUrl + fileBaseName + '.txt',
       encoding: null
     };
     request.get(options, function(err, response, body) {
       if (err || response.statusCode !== 200) {
-        return callback('Error downloading GeoNames ' + displayName + ' data' +
-            (err ? ': ' + err : ''));
+        return callback(new GeocoderError('DOWNLOAD_FAILED',
+            'Error downloading GeoNames ' + displayName + ' data' +
+            (err ? ': ' + err.message : ' (HTTP ' + response.statusCode + ')'),
+            err));
       }
       debug('Received GeoNames ' + displayName + ' data');
       // Store a dump locally
-      if (!fs.existsSync(GEONAMES_DUMP + '/' + subdir)) {
-        fs.mkdirSync(GEONAMES_DUMP + '/' + subdir);
+      if (!fs.existsSync(dumpDirectory + '/' + subdir)) {
+        fs.mkdirSync(dumpDirectory + '/' + subdir);
       }
   
       try {
         fs.writeFileSync(timestampedFilename, body);
         // Housekeeping, remove old files
-        var currentFileName = path.basename(timestampedFilename);
-        fs.readdirSync(GEONAMES_DUMP + '/' + subdir).forEach(
-          function(file) {
-          if (file !== currentFileName) {
-            fs.unlinkSync(GEONAMES_DUMP + '/' + subdir + '/' + file);
-          }
-        });
+        that._removeOldFiles(dumpDirectory + '/' + subdir, fileBaseName,
+            path.basename(timestampedFilename));
       } catch (e) {
-        throw (e);
+        return callback(new GeocoderError('DOWNLOAD_FAILED',
+            'Error storing GeoNames ' + displayName + ' data: ' + e.message,
+            e));
       }
       return callback(null, timestampedFilename);
     });
@@ -252,9 +902,9 @@ var geocoder = {
   _parseGeoNamesAlternateNamesCsv: function(pathToCsv, callback) {
     var that = this;
     that._alternateNames = {};
-    var lineReader = require('readline').createInterface({
-      input: require('fs').createReadStream(pathToCsv)
-    });
+    // Rank of the name kept per place and language, only needed while parsing
+    var ranks = {};
+    var lineReader = this._createLineReader(pathToCsv);
 
     lineReader.on('line', function (line) {
       line = line.split('\t');
@@ -262,14 +912,24 @@ var geocoder = {
       if (line[2] && line[2] !== '' && line[2] !== 'link') {
         if (!that._alternateNames[line[1]]) {
           that._alternateNames[line[1]] = {};
+          ranks[line[1]] = {};
         }
-        if (! that._alternateNames[line[1]][line[2]] || line[4]=='1') {
+        // Preferred names win, historic and colloquial ones are only used
+        // if there is nothing else, short names come in between
+        var rank = line[4] === '1' ? 4 : line[7] === '1' ? 0 :
+            line[6] === '1' ? 1 : line[5] === '1' ? 2 : 3;
+        if (ranks[line[1]][line[2]] === undefined ||
+            rank > ranks[line[1]][line[2]]) {
+          ranks[line[1]][line[2]] = rank;
           // the following construct seems weird, but saves lots of heap
           // space (hundreds of megabytes) because the sliced strings are released.
           that._alternateNames[line[1]][line[2]] = JSON.parse(JSON.stringify(line[3]));
         }
       }
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       return callback();
     });
   },
@@ -280,27 +940,68 @@ var geocoder = {
 
   _parseGeoNamesCountryInfoCsv: function(pathToCsv, callback) {
     var that = this;
+    var lenI = GEONAMES_COUNTRY_INFO_COLUMNS.length;
     that._countryInfo = {};
-  var lineReader = require('readline').createInterface({
-    input: require('fs').createReadStream(pathToCsv)
-  });
+    var lineReader = this._createLineReader(pathToCsv);
 
-  lineReader.on('line', function (line) {
+    lineReader.on('line', function(line) {
       line = line.split('\t');
-    if (line[0] > '' && line[16] && line[16] !== '') {
-      that._countryInfo[line[0]] = {};
-      that._countryInfo[line[0]].geoId = line[16];
+      // Skips the comment lines at the top, too
+      if (!line[0] || line[0].charAt(0) === '#' || !line[16]) {
+        return;
+      }
+      var country = {};
+      for (var i = 0; i < lenI; i++) {
+        var column = GEONAMES_COUNTRY_INFO_COLUMNS[i];
+        var value = line[i] || null;
+        if (GEONAMES_COUNTRY_INFO_LISTS.indexOf(column) !== -1) {
+          value = value ? value.split(',') : [];
+        }
+        country[column] = value;
+      }
+      if (that._alternateNames[country.geoId]) {
+        country.alternateNames = that._alternateNames[country.geoId];
+      }
+      that._countryInfo[country.countryCode] = country;
+    }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
+      return callback();
+    });
+  },
+
+  _getGeoNamesTimeZonesData: function(callback) {
+    return this._getGeoDataTextFile(callback, 'time_zones', TIME_ZONES_FILE,
+        'time zones');
+  },
+
+  _parseGeoNamesTimeZonesCsv: function(pathToCsv, callback) {
+    var that = this;
+    that._timeZones = {};
+    var lineReader = this._createLineReader(pathToCsv);
 
-      if (that._alternateNames[line[16]]) {
-        that._countryInfo[line[0]].alternateNames=that._alternateNames[line[16]];
+    lineReader.on('line', function(line) {
+      line = line.split('\t');
+      // Skips the header line, its offsets are no numbers
+      if (!line[1] || isNaN(parseFloat(line[2]))) {
+        return;
       }
-    }
+      that._timeZones[line[1]] = {
+        timeZoneId: line[1],
+        countryCode: line[0],
+        gmtOffset: parseFloat(line[2]),
+        dstOffset: parseFloat(line[3]),
+        rawOffset: parseFloat(line[4])
+      };
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       return callback();
     });
   },
 
-  
   _getGeoNamesAdmin1CodesData: function(callback) {
     return this._getGeoDataTextFile(callback, 'admin1_codes', ADMIN_1_CODES_FILE, 'admin 1 codes');
   },
@@ -309,9 +1010,7 @@ var geocoder = {
     var that = this;
     var lenI = GEONAMES_ADMIN_CODES_COLUMNS.length;
     that._admin1Codes = {};
-  var lineReader = require('readline').createInterface({
-    input: require('fs').createReadStream(pathToCsv)
-  });
+  var lineReader = this._createLineReader(pathToCsv);
 
   lineReader.on('line', function (line) {
       line = line.split('\t');
@@ -327,6 +1026,9 @@ var geocoder = {
       that._admin1Codes[line[0]].alternateNames=that._alternateNames[line[3]];
     }
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       return callback();
     });
   },
@@ -339,9 +1041,7 @@ var geocoder = {
     var that = this;
     var lenI = GEONAMES_ADMIN_CODES_COLUMNS.length;
     that._admin2Codes = {};
-  var lineReader = require('readline').createInterface({
-    input: require('fs').createReadStream(pathToCsv)
-  });
+  var lineReader = this._createLineReader(pathToCsv);
 
   lineReader.on('line', function (line) {
       line = line.split('\t');
@@ -356,12 +1056,20 @@ var geocoder = {
     if (that._alternateNames[line[3]])
       that._admin2Codes[line[0]].alternateNames=that._alternateNames[line[3]];
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       return callback();
     });
   },
 
   _getGeoNamesCitiesData: function(callback) {
-    return this._getGeoDataZipFile(callback, 'cities', CITIES_FILE, 'cities');
+    // allCountries shares its directory with the admin 3 and 4 data source
+    if (this._dataset === ALL_COUNTRIES_FILE) {
+      return this._getGeoNamesAllCountriesData(callback);
+    }
+    return this._getGeoDataZipFile(callback, 'cities', this._dataset,
+        'cities');
   },
 
   _parseGeoNamesCitiesCsv: function(pathToCsv, callback) {
@@ -372,14 +1080,17 @@ var geocoder = {
     var that = this;
     var latitudeIndex = GEONAMES_COLUMNS.indexOf('latitude');
     var longitudeIndex = GEONAMES_COLUMNS.indexOf('longitude');
+    var featureClassIndex = GEONAMES_COLUMNS.indexOf('featureClass');
 
-    var lineReader = require('readline').createInterface({
-      input: require('fs').createReadStream(pathToCsv)
-    });
+    var lineReader = this._createLineReader(pathToCsv);
 
     lineReader.on('line', function (line) {
       var lineObj = {};
       line = JSON.parse(JSON.stringify(line)).split('\t');
+      if (that._featureClasses &&
+          that._featureClasses.indexOf(line[featureClassIndex]) === -1) {
+        return;
+      }
 
       for (var i = 0; i < lenI; i++) {
         var column = line[i] || null;
@@ -391,31 +1102,42 @@ var geocoder = {
       //dont add lineObj without lat/lng pair
       if (lng !== null && lng !== undefined && !isNaN(lng) &&
           lat !== null && lat !== undefined && !isNaN(lat)) {
+        // Names equal to the main name stay, or localizing to their
+        // language would not find them
         if (that._alternateNames[lineObj.geoNameId]) {
-          var alt = that._alternateNames[lineObj.geoNameId] || null;
-          for (var x in alt) {
-            if (alt[x]==lineObj.name)
-              delete alt[x];
-          }
-          lineObj.alternateNames=alt;
+          lineObj.alternateNames = that._alternateNames[lineObj.geoNameId];
         }
         data.push(lineObj);
       }
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       debug('Finished parsing cities.txt');
-      debug('Started building cities k-d tree (this may take ' +
-            'a while)');
-
-      var dimensions = [
-        'latitude',
-        'longitude'
-      ];
-      that._kdTree = kdTree.createKdTree(data, that._distanceFunc, dimensions);
-      debug('Finished building cities k-d tree');
+      that._buildCitiesKdTree(data);
       return callback();
     });
   },
 
+  _buildCitiesKdTree: function(data) {
+    debug('Started building cities k-d tree (this may take ' +
+          'a while)');
+
+    var dimensions = [
+      'latitude',
+      'longitude'
+    ];
+    this._kdTree = kdTree.createKdTree(data, this._distanceFunc, dimensions);
+    debug('Finished building cities k-d tree');
+    // Keep the flat list around for name searches, the index itself is
+    // built lazily on the first call to search()
+    this._cities = data;
+    this._nameIndex = null;
+    this._nameIndexKeys = null;
+    this._bounds = null;
+    this._adminHierarchy = null;
+  },
+
   _getGeoNamesAllCountriesData: function(callback) {
     return this._getGeoDataZipFile(callback, 'all_countries', ALL_COUNTRIES_FILE, 'all countries');
   },
@@ -438,9 +1160,7 @@ var geocoder = {
     var counter = 0;
     that._admin3Codes = {};
     that._admin4Codes = {};
-  var lineReader = require('readline').createInterface({
-    input: require('fs').createReadStream(pathToCsv)
-  });
+  var lineReader = this._createLineReader(pathToCsv);
 
   lineReader.on('line', function (line) {
     line = line.split('\t');
@@ -451,6 +1171,9 @@ var geocoder = {
           asciiName: line[asciiNameIndex],
           geoNameId: line[geoNameIdIndex]
         };
+        if (that._alternateNames && that._alternateNames[lineObj.geoNameId]) {
+          lineObj.alternateNames = that._alternateNames[lineObj.geoNameId];
+        }
         var key = line[countryCodeIndex] + '.' + line[admin1CodeIndex] + '.' +
             line[admin2CodeIndex] + '.' + line[admin3CodeIndex];
         if (featureCode === 'ADM3') {
@@ -464,221 +1187,1955 @@ var geocoder = {
       }
       counter++;
     }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
       debug('Finished parsing all countries.txt');
       return callback();
     });
   },
 
-  init: function(options, callback) {
-    options = options || {};
-    if (options.dumpDirectory) {
-      GEONAMES_DUMP = options.dumpDirectory;
-    }
+  _getGeoNamesPostalCodesData: function(callback) {
+    // Unzips to allCountries.txt as well, so it needs its own directory
+    return this._getGeoDataZipFile(callback, 'postal_codes',
+        POSTAL_CODES_FILE, 'postal codes', null, this._postalCodesUrl);
+  },
 
-    options.load = options.load || {};
-    if (options.load.admin1 === undefined) {
-      options.load.admin1 = true;
-    }
+  _parseGeoNamesPostalCodesCsv: function(countryCodes, pathToCsv, callback) {
+    debug('Started parsing postal codes.txt (this may take a while)');
+    var data = [];
+    var lenI = GEONAMES_POSTAL_CODES_COLUMNS.length;
+    var that = this;
+    var lineReader = this._createLineReader(pathToCsv);
 
-    if (options.load.admin2 === undefined) {
-      options.load.admin2 = true;
-    }
+    lineReader.on('line', function(line) {
+      line = line.split('\t');
+      if (countryCodes && countryCodes.indexOf(line[0]) === -1) {
+        return;
+      }
+      var lineObj = {};
+      for (var i = 0; i < lenI; i++) {
+        lineObj[GEONAMES_POSTAL_CODES_COLUMNS[i]] = line[i] || null;
+      }
+      if (lineObj.postalCode) {
+        data.push(lineObj);
+      }
+    }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
+      debug('Finished parsing postal codes.txt');
+      that._buildPostalCodesKdTree(data);
+      return callback();
+    });
+  },
 
-    if (options.load.admin3And4 === undefined) {
-      options.load.admin3And4 = false;
-    }
+  // Postal codes get a k-d tree of their own for reverse lookups, and an
+  // index by normalized code for forward lookups
+  _buildPostalCodesKdTree: function(data) {
+    debug('Started building postal codes k-d tree (this may take a while)');
+    var that = this;
+    var located = [];
+    this._postalCodeIndex = {};
+    data.forEach(function(postalCode) {
+      var key = that._normalizePostalCode(postalCode.postalCode);
+      (that._postalCodeIndex[key] = that._postalCodeIndex[key] || [])
+          .push(postalCode);
+      if (postalCode.latitude !== null && !isNaN(postalCode.latitude) &&
+          postalCode.longitude !== null && !isNaN(postalCode.longitude)) {
+        located.push(postalCode);
+      }
+    });
+    this._postalCodesKdTree = located.length ?
+        kdTree.createKdTree(located, this._distanceFunc,
+            ['latitude', 'longitude']) :
+        null;
+    this._postalCodes = data;
+    debug('Finished building postal codes k-d tree');
+  },
 
-    if (options.load.alternateNames === undefined) {
-      options.load.alternateNames = true;
-    }
+  // Spaces, hyphens and case do not matter when looking up a postal code,
+  // "sw1a 1aa" finds "SW1A 1AA" and "00001" finds "00-001"
+  _normalizePostalCode: function(postalCode) {
+    return String(postalCode).toUpperCase().replace(/[\s-]/g, '');
+  },
 
-    debug('Initializing local reverse geocoder using dump ' +
-        'directory: ' + GEONAMES_DUMP);
-    // Create local cache folder
-    if (!fs.existsSync(GEONAMES_DUMP)) {
-      fs.mkdirSync(GEONAMES_DUMP);
+  // Returns the record of the postal code closest to point, or null if no
+  // postal codes are loaded. The record is the one in the index, so callers
+  // copy it before adding to it, see _lookUpPoint
+  _nearestPostalCode: function(point) {
+    if (!this._postalCodesKdTree) {
+      return null;
     }
-    var that = this;
-    async.series([
-      // Get GeoNames cities
-      function(waterfallCallback) {
-        async.waterfall([
-          that._getGeoNamesAlternateNamesData.bind(that),
-          that._parseGeoNamesAlternateNamesCsv.bind(that),
+    var nearest = this._postalCodesKdTree.nearest(point, 1);
+    return nearest.length ? nearest[0][0] : null;
+  },
 
-          that._getGeoNamesCitiesData.bind(that),
-          that._parseGeoNamesCitiesCsv.bind(that)
-      ], function() {
-          return waterfallCallback();
-        });
-      },
-      // Get GeoNames countries
-      function(waterfallCallback) {
-        async.waterfall([
-          that._getGeoNamesCountryInfoData.bind(that),
-          that._parseGeoNamesCountryInfoCsv.bind(that)
-      ], function() {
-          return waterfallCallback();
-        });
-      },
-      // Get GeoNames admin 1 codes
-      function(waterfallCallback) {
-        if (options.load.admin1) {
-          async.waterfall([
-            that._getGeoNamesAdmin1CodesData.bind(that),
-            that._parseGeoNamesAdmin1CodesCsv.bind(that)
-          ], function() {
-            return waterfallCallback();
-          });
-        } else {
-          return setImmediate(waterfallCallback);
-        }
-      },
-      // Get GeoNames admin 2 codes
-      function(waterfallCallback) {
-        if (options.load.admin2) {
-          async.waterfall([
-            that._getGeoNamesAdmin2CodesData.bind(that),
-            that._parseGeoNamesAdmin2CodesCsv.bind(that)
-          ], function() {
-            return waterfallCallback();
-          });
-        } else {
-          return setImmediate(waterfallCallback);
-        }
-      },
-      // Get GeoNames all countries
-      function(waterfallCallback) {
-        if (options.load.admin3And4) {
-          async.waterfall([
-            that._getGeoNamesAllCountriesData.bind(that),
-            that._parseGeoNamesAllCountriesCsv.bind(that)
-          ], function() {
-            return waterfallCallback();
-          });
-        } else {
-          return setImmediate(waterfallCallback);
-        }
-    }
-    ],
-    // Main callback
-    function(err) {
-    that._alternateNames = null;
+  _getGeoNamesShapesData: function(callback) {
+    return this._getGeoDataZipFile(callback, 'shapes', SHAPES_FILE, 'shapes',
+        SHAPES_FILE + '.json');
+  },
 
-    if (err) {
-        throw(err);
+  _parseGeoNamesShapesCsv: function(pathToCsv, callback) {
+    debug('Started parsing shapes.txt');
+    var that = this;
+    // Shapes are keyed by the geoNameId of the country
+    var countryCodes = {};
+    Object.keys(that._countryInfo).forEach(function(countryCode) {
+      countryCodes[that._countryInfo[countryCode].geoId] = countryCode;
+    });
+    var lineReader = this._createLineReader(pathToCsv);
+
+    lineReader.on('line', function(line) {
+      line = line.split('\t');
+      // Skips the header line, too
+      var countryCode = countryCodes[line[0]];
+      if (!countryCode || !line[1]) {
+        return;
+      }
+      try {
+        that._addBoundary(JSON.parse(line[1]), countryCode, null);
+      } catch (e) {
+        debug('Warning: invalid shape for ' + countryCode + ': ' + e);
       }
+    }).on('close', function() {
+      if (lineReader.error) {
+        return callback(lineReader.error);
+      }
+      debug('Finished parsing shapes.txt');
       return callback();
     });
   },
 
-  lookUp: function(points, arg2, arg3) {
-    var callback;
-    var maxResults;
-    if (arguments.length === 2) {
-      maxResults = 1;
-      callback = arg2;
-    } else {
-      maxResults = arg2;
-      callback = arg3;
-    }
-    this._lookUp(points, maxResults, function(err, results) {
+  // Loads a user supplied GeoJSON FeatureCollection. Features whose
+  // properties carry an admin 1 code become admin 1 boundaries, all others
+  // country boundaries
+  _loadBoundariesGeoJson: function(options, callback) {
+    var that = this;
+    var countryProperty = options.countryProperty || 'countryCode';
+    var admin1Property = options.admin1Property || 'admin1Code';
+    debug('Loading boundaries from ' + options.file);
+    fs.readFile(options.file, 'utf8', function(err, data) {
+      if (err) {
+        return callback(new GeocoderError('PARSE_FAILED',
+            'Cannot read boundaries from ' + options.file + ': ' +
+            err.message, err));
+      }
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return callback(new GeocoderError('PARSE_FAILED',
+            'Error parsing boundaries from ' + options.file + ': ' +
+            e.message, e));
+      }
+      var features = data.type === 'FeatureCollection' ? data.features :
+          [data];
+      features.forEach(function(feature) {
+        var properties = feature.properties || {};
+        var countryCode = properties[countryProperty];
+        if (!countryCode || !feature.geometry) {
+          return;
+        }
+        that._addBoundary(feature.geometry,
+            String(countryCode).toUpperCase(),
+            properties[admin1Property] ? String(properties[admin1Property]) :
+                null);
+      });
+      debug('Finished loading boundaries from ' + options.file);
+      return callback();
+    });
+  },
+
+  _addBoundary: function(geometry, countryCode, admin1Code) {
+    var polygons;
+    if (geometry.type === 'Polygon') {
+      polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+      polygons = geometry.coordinates;
+    } else {
+      return;
+    }
+    // Bounding box as [west, south, east, north] for cheap rejection
+    var bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(function(polygon) {
+      polygon[0].forEach(function(position) {
+        bbox[0] = Math.min(bbox[0], position[0]);
+        bbox[1] = Math.min(bbox[1], position[1]);
+        bbox[2] = Math.max(bbox[2], position[0]);
+        bbox[3] = Math.max(bbox[3], position[1]);
+      });
+    });
+    var boundary = {
+      countryCode: countryCode,
+      admin1Code: admin1Code,
+      bbox: bbox,
+      polygons: polygons
+    };
+    if (admin1Code) {
+      this._boundaries.admin1.push(boundary);
+    } else {
+      this._boundaries.countries.push(boundary);
+    }
+  },
+
+  // Ray casting, rings after the first one of a polygon are holes, which the
+  // even-odd rule takes care of
+  _boundaryContains: function(boundary, point) {
+    var x = point.longitude;
+    var y = point.latitude;
+    if (x < boundary.bbox[0] || y < boundary.bbox[1] ||
+        x > boundary.bbox[2] || y > boundary.bbox[3]) {
+      return false;
+    }
+    return boundary.polygons.some(function(polygon) {
+      var inside = false;
+      polygon.forEach(function(ring) {
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          var xi = ring[i][0];
+          var yi = ring[i][1];
+          var xj = ring[j][0];
+          var yj = ring[j][1];
+          if (((yi > y) !== (yj > y)) &&
+              (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+          }
+        }
+      });
+      return inside;
+    });
+  },
+
+  // Returns {countryCode, admin1Code} of the most specific boundary that
+  // contains the point, or null
+  _findBoundary: function(point) {
+    var i;
+    var lenI;
+    var admin1 = this._boundaries.admin1;
+    for (i = 0, lenI = admin1.length; i < lenI; i++) {
+      if (this._boundaryContains(admin1[i], point)) {
+        return {
+          countryCode: admin1[i].countryCode,
+          admin1Code: admin1[i].admin1Code
+        };
+      }
+    }
+    var countries = this._boundaries.countries;
+    for (i = 0, lenI = countries.length; i < lenI; i++) {
+      if (this._boundaryContains(countries[i], point)) {
+        return {
+          countryCode: countries[i].countryCode,
+          admin1Code: null
+        };
+      }
+    }
+    return null;
+  },
+
+  _buildCountryKdTrees: function() {
+    debug('Started building per country k-d trees');
+    var citiesByCountry = {};
+    this._cities.forEach(function(city) {
+      if (!citiesByCountry[city.countryCode]) {
+        citiesByCountry[city.countryCode] = [];
+      }
+      citiesByCountry[city.countryCode].push(city);
+    });
+    this._countryKdTrees = {};
+    for (var countryCode in citiesByCountry) {
+      this._countryKdTrees[countryCode] = {
+        size: citiesByCountry[countryCode].length,
+        tree: kdTree.createKdTree(citiesByCountry[countryCode],
+            this._distanceFunc, ['latitude', 'longitude'])
+      };
+    }
+    debug('Finished building per country k-d trees');
+  },
+
+  // Returns up to count [city, distance] candidates for a point. With
+  // boundaries loaded, only cities of the country, and if known admin 1
+  // area, that contain the point qualify
+  _nearestCandidates: function(point, count) {
+    // The dataset and featureClasses may leave no city at all, and the k-d
+    // tree cannot search an empty root
+    if (!this._cities.length) {
+      return [];
+    }
+    var boundary = this._boundaries && this._findBoundary(point);
+    var country = boundary && this._countryKdTrees[boundary.countryCode];
+    // The k-d trees cannot return more nodes than they hold
+    if (!country) {
+      return this._kdTree.nearest(point, Math.min(count, this._cities.length));
+    }
+    var byDistance = function(a, b) {
+      return a[1] - b[1];
+    };
+    count = Math.min(count, country.size);
+    if (boundary.admin1Code) {
+      // Widen the search until enough cities of the admin 1 area show up
+      var size = count;
+      var inAdmin1 = [];
+      while (inAdmin1.length < count && size < country.size) {
+        size = Math.min(size * 4, country.size);
+        inAdmin1 = country.tree.nearest(point, size).filter(
+            function(candidate) {
+          return candidate[0].admin1Code === boundary.admin1Code;
+        });
+      }
+      if (inAdmin1.length) {
+        return inAdmin1.sort(byDistance).slice(0, count);
+      }
+    }
+    return country.tree.nearest(point, count);
+  },
+
+  // Copies the GeoNames files of a bundle into the dump directory. A bundle is
+  // a directory or a (gzipped) tarball holding any of the files GeoNames
+  // offers for download, zipped or not. Files that are older than what the
+  // dump directory already has are skipped
+  _importBundle: function(bundle, callback) {
+    var that = this;
+    var stats;
+    try {
+      stats = fs.statSync(bundle);
+    } catch (e) {
+      return setImmediate(callback, new GeocoderError('IMPORT_FAILED',
+          'Cannot read bundle ' + bundle + ': ' + e.message, e));
+    }
+    debug('Started importing bundle ' + bundle);
+    var done = function(err) {
+      if (!err) {
+        debug('Finished importing bundle ' + bundle);
+      }
+      return callback(err);
+    };
+
+    if (stats.isDirectory()) {
+      // The paths of all files below the bundle directory, relative to it
+      var listFiles = function(directory) {
+        return [].concat.apply([], fs.readdirSync(bundle + '/' + directory)
+            .map(function(name) {
+          var file = directory ? directory + '/' + name : name;
+          return fs.statSync(bundle + '/' + file).isDirectory() ?
+              listFiles(file) : [file];
+        }));
+      };
+      var files;
+      try {
+        files = listFiles('');
+      } catch (e) {
+        return setImmediate(callback, new GeocoderError('IMPORT_FAILED',
+            'Cannot read bundle ' + bundle + ': ' + e.message, e));
+      }
+      return async.eachSeries(files, function(file, next) {
+        var fileStats = fs.statSync(bundle + '/' + file);
+        if (!fileStats.isFile()) {
+          return setImmediate(next);
+        }
+        that._importBundleFile(file, fileStats.mtime, function() {
+          return fs.createReadStream(bundle + '/' + file);
+        }, next);
+      }, done);
+    }
+
+    var pending = 0;
+    var ended = false;
+    var failure = null;
+    var finish = function(err) {
+      failure = failure || err;
+      if (ended && pending === 0) {
+        return done(failure);
+      }
+    };
+    fs.createReadStream(bundle)
+        .pipe(new tar.Parse())
+        .on('entry', function(entry) {
+          if (entry.type !== 'File') {
+            return entry.resume();
+          }
+          pending++;
+          that._importBundleFile(entry.path, entry.mtime,
+              function() {
+            return entry;
+          }, function(err) {
+            pending--;
+            finish(err);
+          });
+        })
+        .on('error', function(err) {
+          ended = true;
+          finish(new GeocoderError('IMPORT_FAILED', 'Cannot read bundle ' +
+              bundle + ': ' + err.message, err));
+        })
+        .on('end', function() {
+          ended = true;
+          finish();
+        });
+  },
+
+  // file is the path of the file within the bundle
+  _importBundleFile: function(file, mtime, openStream, callback) {
+    var that = this;
+    var extension = path.extname(file);
+    // The shapes zip is called shapes_simplified_low.json.zip
+    var fileBaseName = path.basename(file, extension).replace(/\.json$/, '');
+    // Postal codes are told apart from the allCountries dataset by their
+    // directory
+    var key = path.basename(path.dirname(file)) === 'zip' ?
+        'zip/' + fileBaseName : fileBaseName;
+    var subdir = DUMP_SUBDIRS.hasOwnProperty(key) ? DUMP_SUBDIRS[key] : null;
+    if (!subdir || (extension !== '.txt' && extension !== '.zip')) {
+      debug('Skipping ' + file + ' from bundle');
+      openStream().resume();
+      return setImmediate(callback);
+    }
+    var directory = this._dumpDirectory + '/' + subdir;
+    var filename = directory + '/' + fileBaseName + '.txt';
+    if (fs.existsSync(filename) && fs.statSync(filename).mtime >= mtime) {
+      debug('Skipping ' + file + ' from bundle, ' + filename +
+          ' is up to date');
+      openStream().resume();
+      return setImmediate(callback);
+    }
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory);
+    }
+    debug('Importing ' + file + ' from bundle to ' + filename);
+    var destination = extension === '.zip' ?
+        unzip.Extract({path: directory}) : fs.createWriteStream(filename);
+    var called = false;
+    var finish = function(err) {
+      if (called) {
+        return;
+      }
+      called = true;
+      var json = directory + '/' + fileBaseName + '.json';
+      try {
+        // The shapes zip holds shapes_simplified_low.json
+        if (!err && extension === '.zip' && !fs.existsSync(filename) &&
+            fs.existsSync(json)) {
+          fs.renameSync(json, filename);
+        }
+        // Date the copy like the bundle file, so that the next import of the
+        // same bundle skips it but an updated one does not
+        if (!err && mtime) {
+          fs.utimesSync(filename, new Date(), mtime);
+        }
+      } catch (e) {
+        err = e;
+      }
+      if (err) {
+        return callback(new GeocoderError('IMPORT_FAILED', 'Cannot import ' +
+            file + ' from bundle: ' + err.message, err));
+      }
+      // The bare file is used from now on, so drop dated downloads
+      that._removeOldFiles(directory, fileBaseName, fileBaseName + '.txt');
+      return callback();
+    };
+    openStream()
+        .pipe(destination)
+        .on('error', finish)
+        .on(extension === '.zip' ? 'close' : 'finish', function() {
+          finish();
+        });
+  },
+
+  // In offline mode nothing can be downloaded, so all files have to be there
+  // before init() even starts parsing. Lists every missing file at once
+  _checkOfflineFiles: function(options, callback) {
+    var that = this;
+    var missing = [];
+    async.eachSeries(that._getSourceGetters(options), function(getter, next) {
+      getter.call(that, function(err) {
+        if (err) {
+          missing.push(err.message);
+        }
+        return next();
+      });
+    }, function() {
+      if (options.boundaries && !fs.existsSync(options.boundaries.file)) {
+        missing.push('Missing boundaries ' + options.boundaries.file);
+      }
+      if (missing.length) {
+        var err = new GeocoderError('MISSING_FILES', 'Offline mode, but ' +
+            'GeoNames files are missing in ' + that._dumpDirectory + ':\n  ' +
+            missing.join('\n  '));
+        err.missing = missing;
+        return callback(err);
+      }
+      return callback();
+    });
+  },
+
+  // There is one snapshot file per configuration, so differently configured
+  // geocoders sharing a dump directory do not overwrite each other's
+  _getSnapshotFilename: function(options) {
+    var config = JSON.stringify({
+      load: options.load,
+      dataset: options.dataset,
+      featureClasses: options.featureClasses,
+      boundaries: options.boundaries ? options.boundaries.file : null
+    });
+    var hash = crypto.createHash('sha1').update(config).digest('hex');
+    return this._dumpDirectory + '/snapshot/index_' + hash.substr(0, 12) + '.ndjson';
+  },
+
+  // Returns the functions that locate, and if need be download, the GeoNames
+  // files init() is going to parse
+  _getSourceGetters: function(options) {
+    var getters = [
+      this._getGeoNamesAlternateNamesData,
+      this._getGeoNamesCitiesData,
+      this._getGeoNamesCountryInfoData
+    ];
+    if (options.load.timeZones) {
+      getters.push(this._getGeoNamesTimeZonesData);
+    }
+    if (options.load.boundaries) {
+      getters.push(this._getGeoNamesShapesData);
+    }
+    if (options.load.admin1) {
+      getters.push(this._getGeoNamesAdmin1CodesData);
+    }
+    if (options.load.admin2) {
+      getters.push(this._getGeoNamesAdmin2CodesData);
+    }
+    if (options.load.admin3And4) {
+      getters.push(this._getGeoNamesAllCountriesData);
+    }
+    if (options.load.postalCodes) {
+      getters.push(this._getGeoNamesPostalCodesData);
+    }
+    return getters;
+  },
+
+  // Lists file name, modification time and size of every source file init()
+  // uses, downloading whatever is missing
+  _getSources: function(options, callback) {
+    var that = this;
+    async.mapSeries(that._getSourceGetters(options),
+        function(getter, mapCallback) {
+      getter.call(that, mapCallback);
+    }, function(err, files) {
+      if (err) {
+        return callback(err);
+      }
+      if (options.boundaries) {
+        files.push(options.boundaries.file);
+      }
+      var sources = [];
+      for (var i = 0, lenI = files.length; i < lenI; i++) {
+        try {
+          var stats = fs.statSync(files[i]);
+          sources.push({
+            file: path.basename(files[i]),
+            modified: stats.mtime.getTime(),
+            size: stats.size
+          });
+        } catch (e) {
+          return callback(new GeocoderError('PARSE_FAILED', 'Cannot read ' +
+              files[i] + ': ' + e.message, e));
+        }
+      }
+      return callback(null, sources);
+    });
+  },
+
+  // The key of a snapshot lists the sources, so it changes as soon as any of
+  // them gets refreshed
+  _getSnapshotKey: function(options, callback) {
+    this._getSources(options, function(err, sources) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, JSON.stringify({
+        version: SNAPSHOT_VERSION,
+        sources: sources.map(function(source) {
+          return [source.file, source.modified, source.size];
+        })
+      }));
+    });
+  },
+
+  // Reads a snapshot written by _writeSnapshot. Calls back with true if the
+  // snapshot was there, complete and matched the key, only then the parsed
+  // data gets swapped in
+  _loadSnapshot: function(pathToSnapshot, key, callback) {
+    if (!fs.existsSync(pathToSnapshot)) {
+      return setImmediate(callback, null, false);
+    }
+    debug('Started loading snapshot ' + pathToSnapshot);
+    var that = this;
+    var lenI = GEONAMES_COLUMNS.length;
+    var lenP = GEONAMES_POSTAL_CODES_COLUMNS.length;
+    var data = [];
+    var postalCodes = null;
+    var maps = {};
+    var valid = true;
+    var complete = false;
+    var lineReader = this._createLineReader(pathToSnapshot);
+
+    lineReader.on('line', function(line) {
+      if (!valid) {
+        return;
+      }
+      var entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        entry = [];
+      }
+      if (entry[0] === 'city') {
+        var lineObj = {};
+        for (var i = 0; i < lenI; i++) {
+          lineObj[GEONAMES_COLUMNS[i]] = entry[1][i];
+        }
+        data.push(lineObj);
+      } else if (entry[0] === 'postalCode') {
+        var postalCode = {};
+        for (var p = 0; p < lenP; p++) {
+          postalCode[GEONAMES_POSTAL_CODES_COLUMNS[p]] = entry[1][p];
+        }
+        (postalCodes = postalCodes || []).push(postalCode);
+      } else if (entry[0] === 'meta') {
+        valid = entry[1] === key;
+      } else if (entry[0] === 'end') {
+        complete = true;
+      } else if (entry[0]) {
+        maps[entry[0]] = entry[1];
+      } else {
+        valid = false;
+      }
+      if (!valid) {
+        debug('Snapshot ' + pathToSnapshot + ' is outdated or invalid');
+        lineReader.close();
+      }
+    }).on('close', function() {
+      if (lineReader.error) {
+        debug('Warning: ' + lineReader.error.message);
+        return callback(null, false);
+      }
+      if (!valid || !complete) {
+        return callback(null, false);
+      }
+      that._countryInfo = maps.countryInfo;
+      that._timeZones = maps.timeZones;
+      that._admin1Codes = maps.admin1Codes;
+      that._admin2Codes = maps.admin2Codes;
+      that._admin3Codes = maps.admin3Codes;
+      that._admin4Codes = maps.admin4Codes;
+      that._boundaries = maps.boundaries;
+      that._buildCitiesKdTree(data);
+      that._countryKdTrees = null;
+      if (that._boundaries) {
+        that._buildCountryKdTrees();
+      }
+      that._postalCodes = null;
+      that._postalCodesKdTree = null;
+      that._postalCodeIndex = null;
+      if (postalCodes) {
+        that._buildPostalCodesKdTree(postalCodes);
+      }
+      debug('Finished loading snapshot ' + pathToSnapshot);
+      return callback(null, true);
+    });
+  },
+
+  // Writes one JSON array per line: a meta line carrying the key, one line
+  // per lookup table, one line per city with its values in GEONAMES_COLUMNS
+  // order, one line per postal code likewise, and an end marker. The file is
+  // written under a temporary name and renamed when done, so readers never
+  // see a partial snapshot
+  _writeSnapshot: function(pathToSnapshot, key, options, callback) {
+    debug('Started writing snapshot ' + pathToSnapshot);
+    var that = this;
+    var directory = path.dirname(pathToSnapshot);
+    var temporaryFilename = pathToSnapshot + '.tmp';
+    var lines = [
+      ['meta', key],
+      ['countryInfo', that._countryInfo],
+      ['timeZones', options.load.timeZones ? that._timeZones : null],
+      ['admin1Codes', options.load.admin1 ? that._admin1Codes : null],
+      ['admin2Codes', options.load.admin2 ? that._admin2Codes : null],
+      ['admin3Codes', options.load.admin3And4 ? that._admin3Codes : null],
+      ['admin4Codes', options.load.admin3And4 ? that._admin4Codes : null],
+      ['boundaries', that._boundaries]
+    ];
+    // Records are stored as arrays of their values in column order
+    var rows = [
+      {type: 'city', records: that._cities, columns: GEONAMES_COLUMNS},
+      {type: 'postalCode', records: that._postalCodes || [],
+          columns: GEONAMES_POSTAL_CODES_COLUMNS}
+    ];
+    var total = lines.length + 1;
+    rows.forEach(function(row) {
+      total += row.records.length;
+    });
+    var index = 0;
+    var getLine = function(i) {
+      if (i < lines.length) {
+        return JSON.stringify(lines[i]);
+      }
+      if (i === total - 1) {
+        return JSON.stringify(['end']);
+      }
+      i -= lines.length;
+      for (var r = 0; i >= rows[r].records.length; r++) {
+        i -= rows[r].records.length;
+      }
+      var record = rows[r].records[i];
+      var values = [];
+      for (var j = 0, lenJ = rows[r].columns.length; j < lenJ; j++) {
+        values.push(record[rows[r].columns[j]]);
+      }
+      return JSON.stringify([rows[r].type, values]);
+    };
+
+    try {
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory);
+      }
+    } catch (e) {
+      return setImmediate(callback, e);
+    }
+    var stream = fs.createWriteStream(temporaryFilename);
+    // Honour back pressure instead of buffering the whole file in memory
+    var write = function() {
+      while (index < total) {
+        if (!stream.write(getLine(index++) + '\n')) {
+          return stream.once('drain', write);
+        }
+      }
+      stream.end();
+    };
+    stream.on('error', function(err) {
+      debug('Warning: could not write snapshot: ' + err);
+      return callback(err);
+    }).on('finish', function() {
+      try {
+        fs.renameSync(temporaryFilename, pathToSnapshot);
+      } catch (e) {
+        return callback(e);
+      }
+      debug('Finished writing snapshot ' + pathToSnapshot);
+      return callback();
+    });
+    write();
+  },
+
+  // Fills in the defaults of init() options and takes over the settings the
+  // downloads depend on. Returns an error if the options are invalid. Only
+  // called on geocoders of their own, see init()
+  _prepareOptions: function(options) {
+    if (options.dumpDirectory) {
+      this._dumpDirectory = options.dumpDirectory;
+    }
+
+    if (options.load.admin1 === undefined) {
+      options.load.admin1 = true;
+    }
+
+    if (options.load.admin2 === undefined) {
+      options.load.admin2 = true;
+    }
+
+    if (options.load.admin3And4 === undefined) {
+      options.load.admin3And4 = false;
+    }
+
+    if (options.load.alternateNames === undefined) {
+      options.load.alternateNames = true;
+    }
+
+    if (options.load.boundaries === undefined) {
+      options.load.boundaries = false;
+    }
+
+    if (options.load.timeZones === undefined) {
+      options.load.timeZones = false;
+    }
+
+    if (options.load.postalCodes === undefined) {
+      options.load.postalCodes = false;
+    }
+
+    if (options.snapshot === undefined) {
+      options.snapshot = true;
+    }
+
+    if (options.dataset === undefined) {
+      options.dataset = CITIES_FILE;
+    }
+    if (DATASETS.indexOf(options.dataset) === -1) {
+      return new GeocoderError('INVALID_ARGUMENT', 'Unknown dataset ' +
+          options.dataset + ', use one of ' + DATASETS.join(', '));
+    }
+
+    // allCountries holds every feature, not only places, so only populated
+    // places are taken from it unless told otherwise
+    if (options.featureClasses === undefined) {
+      options.featureClasses = options.dataset === ALL_COUNTRIES_FILE ?
+          ['P'] : null;
+    }
+    if (options.featureClasses !== null) {
+      if (!Array.isArray(options.featureClasses) ||
+          options.featureClasses.some(function(featureClass) {
+            return FEATURE_CLASSES.indexOf(featureClass) === -1;
+          })) {
+        return new GeocoderError('INVALID_ARGUMENT', 'featureClasses must ' +
+            'be null or an array of ' + FEATURE_CLASSES.join(', '));
+      }
+      // A copy, so changing the caller's array later changes nothing
+      options.featureClasses = options.featureClasses.slice();
+    }
+    this._dataset = options.dataset;
+    this._featureClasses = options.featureClasses;
+
+    if (options.workers === undefined) {
+      options.workers = 0;
+    }
+    if (options.workerThreshold === undefined) {
+      options.workerThreshold = 1000;
+    }
+    var workers = Number(options.workers);
+    if (isNaN(workers) || workers < 0 || Math.floor(workers) !== workers) {
+      return new GeocoderError('INVALID_ARGUMENT',
+          'workers must be 0 or a positive integer');
+    }
+
+    // cache: true takes the defaults, a copy keeps the caller's object as is
+    if (options.cache) {
+      var cache = {
+        maxSize: Number(options.cache.maxSize === undefined ?
+            10000 : options.cache.maxSize),
+        precision: Number(options.cache.precision === undefined ?
+            4 : options.cache.precision)
+      };
+      if (isNaN(cache.maxSize) || cache.maxSize < 1 ||
+          Math.floor(cache.maxSize) !== cache.maxSize) {
+        return new GeocoderError('INVALID_ARGUMENT',
+            'cache.maxSize must be a positive integer');
+      }
+      if (isNaN(cache.precision) || cache.precision < 0 ||
+          cache.precision > 10 ||
+          Math.floor(cache.precision) !== cache.precision) {
+        return new GeocoderError('INVALID_ARGUMENT',
+            'cache.precision must be an integer from 0 to 10');
+      }
+      options.cache = cache;
+    }
+
+    this._offline = !!options.offline;
+    this._geoNamesUrl = options.mirror ?
+        options.mirror.replace(/\/?$/, '/') : GEONAMES_URL;
+    this._postalCodesUrl = options.postalCodesMirror ?
+        options.postalCodesMirror.replace(/\/?$/, '/') : POSTAL_CODES_URL;
+    return null;
+  },
+
+  init: function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.init, this, [options]);
+    }
+    // Options given here win over the ones given to createGeocoder()
+    options = mergeOptions(this._options, options);
+    // Everything is loaded into a geocoder of its own and taken over only
+    // once it succeeded, so a failed init() leaves this one as it was
+    var that = this;
+    var next = createGeocoder(this._options);
+    next._dumpDirectory = this._dumpDirectory;
+    var invalid = next._prepareOptions(options);
+    if (invalid) {
+      return setImmediate(callback, invalid);
+    }
+    next._load(options, function(err) {
+      if (err) {
+        that._rejectReady(err);
+        return callback(err);
+      }
+      var previousWorkers = that._workers;
+      // Synchronous, so no lookUp ever sees half of each
+      INITIALIZED_FIELDS.forEach(function(field) {
+        that[field] = next[field];
+      });
+      if (previousWorkers) {
+        previousWorkers.close();
+      }
+      that._initOptions = options;
+      that._startRefreshTimer(options.refreshInterval);
+      that._resolveReady();
+      return callback();
+    });
+  },
+
+  // Loads what the options of init(), prepared by _prepareOptions(), ask for
+  _load: function(options, callback) {
+    debug('Initializing local reverse geocoder using dump ' +
+        'directory: ' + this._dumpDirectory);
+    // Create local cache folder
+    if (!fs.existsSync(this._dumpDirectory)) {
+      fs.mkdirSync(this._dumpDirectory);
+    }
+    var that = this;
+    var snapshotFilename = that._getSnapshotFilename(options);
+    var snapshotKey = null;
+    var snapshotLoaded = false;
+    async.series([
+      // Seed the dump directory from a local bundle
+      function(stepCallback) {
+        if (!options.bundle) {
+          return setImmediate(stepCallback);
+        }
+        that._importBundle(options.bundle, stepCallback);
+      },
+      // Fail early if offline and anything is missing
+      function(stepCallback) {
+        if (!options.offline) {
+          return setImmediate(stepCallback);
+        }
+        that._checkOfflineFiles(options, stepCallback);
+      },
+      // Use the snapshot of an earlier run if the sources did not change
+      function(stepCallback) {
+        if (!options.snapshot) {
+          return setImmediate(stepCallback);
+        }
+        async.waterfall([
+          that._getSnapshotKey.bind(that, options),
+          function(key, keyCallback) {
+            snapshotKey = key;
+            that._loadSnapshot(snapshotFilename, key, keyCallback);
+          }
+        ], function(err, loaded) {
+          // Failed downloads are fatal, broken snapshots are not
+          snapshotLoaded = !err && loaded;
+          return stepCallback(err);
+        });
+      },
+      // Parse the GeoNames files
+      function(stepCallback) {
+        if (snapshotLoaded) {
+          return setImmediate(stepCallback);
+        }
+        async.series([
+          // Get GeoNames cities
+          function(waterfallCallback) {
+            async.waterfall([
+              that._getGeoNamesAlternateNamesData.bind(that),
+              that._parseGeoNamesAlternateNamesCsv.bind(that),
+
+              that._getGeoNamesCitiesData.bind(that),
+              that._parseGeoNamesCitiesCsv.bind(that)
+          ], function(err) {
+              return waterfallCallback(err);
+            });
+          },
+          // Get GeoNames countries
+          function(waterfallCallback) {
+            async.waterfall([
+              that._getGeoNamesCountryInfoData.bind(that),
+              that._parseGeoNamesCountryInfoCsv.bind(that)
+          ], function(err) {
+              return waterfallCallback(err);
+            });
+          },
+          // Get GeoNames time zones
+          function(waterfallCallback) {
+            that._timeZones = null;
+            if (options.load.timeZones) {
+              async.waterfall([
+                that._getGeoNamesTimeZonesData.bind(that),
+                that._parseGeoNamesTimeZonesCsv.bind(that)
+              ], function(err) {
+                return waterfallCallback(err);
+              });
+            } else {
+              return setImmediate(waterfallCallback);
+            }
+          },
+          // Get GeoNames shapes and/or user supplied boundaries
+          function(waterfallCallback) {
+            that._boundaries = null;
+            that._countryKdTrees = null;
+            if (!options.load.boundaries && !options.boundaries) {
+              return setImmediate(waterfallCallback);
+            }
+            that._boundaries = {countries: [], admin1: []};
+            var steps = [];
+            if (options.load.boundaries) {
+              steps.push(function(seriesCallback) {
+                async.waterfall([
+                  that._getGeoNamesShapesData.bind(that),
+                  that._parseGeoNamesShapesCsv.bind(that)
+                ], seriesCallback);
+              });
+            }
+            if (options.boundaries) {
+              steps.push(that._loadBoundariesGeoJson.bind(that,
+                  options.boundaries));
+            }
+            async.series(steps, function(err) {
+              if (!err && that._cities) {
+                that._buildCountryKdTrees();
+              }
+              return waterfallCallback(err);
+            });
+          },
+          // Get GeoNames admin 1 codes
+          function(waterfallCallback) {
+            if (options.load.admin1) {
+              async.waterfall([
+                that._getGeoNamesAdmin1CodesData.bind(that),
+                that._parseGeoNamesAdmin1CodesCsv.bind(that)
+              ], function(err) {
+                return waterfallCallback(err);
+              });
+            } else {
+              return setImmediate(waterfallCallback);
+            }
+          },
+          // Get GeoNames admin 2 codes
+          function(waterfallCallback) {
+            if (options.load.admin2) {
+              async.waterfall([
+                that._getGeoNamesAdmin2CodesData.bind(that),
+                that._parseGeoNamesAdmin2CodesCsv.bind(that)
+              ], function(err) {
+                return waterfallCallback(err);
+              });
+            } else {
+              return setImmediate(waterfallCallback);
+            }
+          },
+          // Get GeoNames all countries
+          function(waterfallCallback) {
+            if (options.load.admin3And4) {
+              async.waterfall([
+                that._getGeoNamesAllCountriesData.bind(that),
+                that._parseGeoNamesAllCountriesCsv.bind(that)
+              ], function(err) {
+                return waterfallCallback(err);
+              });
+            } else {
+              return setImmediate(waterfallCallback);
+            }
+          },
+          // Get GeoNames postal codes, either all or those of some countries
+          function(waterfallCallback) {
+            that._postalCodes = null;
+            that._postalCodesKdTree = null;
+            that._postalCodeIndex = null;
+            if (options.load.postalCodes) {
+              var countryCodes = Array.isArray(options.load.postalCodes) ?
+                  options.load.postalCodes.map(function(countryCode) {
+                    return String(countryCode).toUpperCase();
+                  }) :
+                  null;
+              async.waterfall([
+                that._getGeoNamesPostalCodesData.bind(that),
+                that._parseGeoNamesPostalCodesCsv.bind(that, countryCodes)
+              ], function(err) {
+                return waterfallCallback(err);
+              });
+            } else {
+              return setImmediate(waterfallCallback);
+            }
+        }
+        ], function(err) {
+          return stepCallback(err);
+        });
+      },
+      // Store a snapshot for the next start
+      function(stepCallback) {
+        if (!options.snapshot || snapshotLoaded || !snapshotKey ||
+            !that._cities) {
+          return setImmediate(stepCallback);
+        }
+        // Without a snapshot the next start is just slower, so failing to
+        // write one is no reason to fail init()
+        that._writeSnapshot(snapshotFilename, snapshotKey, options,
+            function() {
+          return stepCallback();
+        });
+      },
+      // Start the worker threads big batches are sharded across. They load
+      // the snapshot just written, if snapshots are on
+      function(stepCallback) {
+        that._workerThreshold = Number(options.workerThreshold);
+        if (!Number(options.workers)) {
+          return setImmediate(stepCallback);
+        }
+        debug('Starting ' + options.workers + ' worker threads');
+        // Sharded batches bypass the cache, so the workers have none
+        var workerOptions = mergeOptions(options, {
+          dumpDirectory: that._dumpDirectory,
+          bundle: null,
+          refreshInterval: 0,
+          workers: 0,
+          cache: null
+        });
+        createWorkerPool(Number(options.workers), workerOptions,
+            function(err, workers) {
+          that._workers = workers || null;
+          return stepCallback(err);
+        });
+      }
+    ],
+    // Main callback
+    function(err) {
+    that._alternateNames = null;
+
+    if (err) {
+        return callback(err);
+      }
+      // Cached records belong to the data just loaded
+      that._cache = options.cache ?
+          createLruCache(options.cache.maxSize, options.cache.precision) :
+          null;
+      that._getSources(options, function(err, sources) {
+        that._dataVersion = {
+          dataset: options.dataset,
+          loadedAt: new Date().toISOString(),
+          sources: describeSources(sources || [])
+        };
+        return callback();
+      });
+    });
+  },
+
+  /**
+   * Downloads the GeoNames files init() would load with these options to the
+   * dump directory, without loading them, e.g. to prepare a machine for
+   * offline use. Files that are already there are kept. Imports options.bundle
+   * first if given. Calls back with the name, modification time and size of
+   * each file.
+   */
+  download: function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.download, this, [options]);
+    }
+    // A geocoder of its own, so this one keeps its settings and data
+    options = mergeOptions(this._options, options);
+    var instance = createGeocoder(options);
+    var invalid = instance._prepareOptions(options);
+    if (invalid) {
+      return setImmediate(callback, invalid);
+    }
+    if (!fs.existsSync(instance._dumpDirectory)) {
+      fs.mkdirSync(instance._dumpDirectory);
+    }
+    async.series([
+      function(stepCallback) {
+        if (!options.bundle) {
+          return setImmediate(stepCallback);
+        }
+        instance._importBundle(options.bundle, stepCallback);
+      },
+      instance._getSources.bind(instance, options)
+    ], function(err, results) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, describeSources(results[1]));
+    });
+  },
+
+  /**
+   * Checks without downloading anything that the dump directory holds every
+   * GeoNames file init() would load with these options. Fails with a
+   * MISSING_FILES error whose missing property lists the files that are
+   * missing or empty, otherwise calls back like download().
+   */
+  verify: function(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.verify, this, [options]);
+    }
+    options = mergeOptions(this._options, options);
+    var instance = createGeocoder(options);
+    var invalid = instance._prepareOptions(options);
+    if (invalid) {
+      return setImmediate(callback, invalid);
+    }
+    instance._offline = true;
+    async.waterfall([
+      instance._checkOfflineFiles.bind(instance, options),
+      instance._getSources.bind(instance, options)
+    ], function(err, sources) {
+      if (err) {
+        return callback(err);
+      }
+      var empty = sources.filter(function(source) {
+        return !source.size;
+      }).map(function(source) {
+        return 'Empty ' + source.file;
+      });
+      if (empty.length) {
+        err = new GeocoderError('MISSING_FILES', 'GeoNames files are ' +
+            'empty in ' + instance._dumpDirectory + ':\n  ' +
+            empty.join('\n  '));
+        err.missing = empty;
+        return callback(err);
+      }
+      return callback(null, describeSources(sources));
+    });
+  },
+
+  /**
+   * Returns the countryInfo.txt data of a country, looked up by its ISO-3166
+   * 2-letter, 3-letter or numeric code, or null if there is no such country
+   * or init() has not finished yet.
+   */
+  getCountry: function(code) {
+    if (!this._countryInfo || code === undefined || code === null) {
+      return null;
+    }
+    code = String(code).trim().toUpperCase();
+    if (/^\d{1,3}$/.test(code)) {
+      code = ('00' + code).slice(-3);
+    }
+    for (var countryCode in this._countryInfo) {
+      var country = this._countryInfo[countryCode];
+      if (countryCode === code || country.iso3 === code ||
+          country.isoNumeric === code) {
+        return this._getCountryObject(countryCode);
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Returns the bounding box of all known places of a country or admin unit,
+   * given by its key, e.g. 'DE' for Germany, 'DE.02' for Bavaria or
+   * 'DE.02.091' for Upper Bavaria, as {south, west, north, east, latitude,
+   * longitude}, the latter two being its center. Returns null for unknown
+   * keys or before init() has finished.
+   */
+  getBounds: function(key) {
+    if (!this._cities) {
+      return null;
+    }
+    if (!this._bounds) {
+      this._buildBounds();
+    }
+    var bounds = this._bounds[key];
+    if (!bounds) {
+      return null;
+    }
+    return {
+      south: bounds[0],
+      west: bounds[1],
+      north: bounds[2],
+      east: bounds[3],
+      latitude: (bounds[0] + bounds[2]) / 2,
+      longitude: (bounds[1] + bounds[3]) / 2
+    };
+  },
+
+  // One pass over all cities, each one widens the bounds of its country and
+  // of every admin unit it is in. Built on the first call to getBounds()
+  _buildBounds: function() {
+    debug('Started building bounds');
+    var bounds = {};
+    var levels = ['countryCode', 'admin1Code', 'admin2Code', 'admin3Code',
+        'admin4Code'];
+    this._cities.forEach(function(city) {
+      var latitude = Number(city.latitude);
+      var longitude = Number(city.longitude);
+      var key = '';
+      for (var i = 0; i < levels.length && city[levels[i]]; i++) {
+        key += (i ? '.' : '') + city[levels[i]];
+        var box = bounds[key];
+        if (!box) {
+          bounds[key] = [latitude, longitude, latitude, longitude];
+          continue;
+        }
+        box[0] = Math.min(box[0], latitude);
+        box[1] = Math.min(box[1], longitude);
+        box[2] = Math.max(box[2], latitude);
+        box[3] = Math.max(box[3], longitude);
+      }
+    });
+    this._bounds = bounds;
+    debug('Finished building bounds');
+  },
+
+  /**
+   * Returns the admin units one level below a country or admin unit, given
+   * by its key as for getBounds(), e.g. the admin 1 units of 'DE' or the
+   * admin 2 units of 'DE.02', sorted by name. Each is an admin object as in
+   * the results of lookUp() plus its level, 'admin1' to 'admin4'.
+   * options.language localizes the names. Returns null for unknown keys or
+   * before init() has finished.
+   */
+  getAdminUnits: function(key, options) {
+    options = options || {};
+    if (!this._cities) {
+      return null;
+    }
+    var hierarchy = this._getAdminHierarchy();
+    key = this._normalizeAdminKey(key);
+    if (!hierarchy.known.hasOwnProperty(key)) {
+      return null;
+    }
+    var that = this;
+    var languages = parseLanguages(options.language);
+    var units = (hierarchy.children[key] || []).map(function(childKey) {
+      return that._getAdminUnit(childKey, languages);
+    });
+    return units.sort(function(a, b) {
+      return String(a.name).localeCompare(b.name);
+    });
+  },
+
+  /**
+   * Returns the chain of units a place or admin unit, given by its
+   * geoNameId, lies in, from its country down to admin 4 as far as they are
+   * known. The chain of an admin unit ends with the unit itself. The country
+   * is its countryInfo.txt data, the others are admin objects as in the
+   * results of lookUp(), all with their level ('country', 'admin1' to
+   * 'admin4'), code and key. options.language localizes the names. Returns
+   * null for unknown geoNameIds or before init() has finished.
+   */
+  getAdminHierarchy: function(geoNameId, options) {
+    options = options || {};
+    if (!this._cities || geoNameId === undefined || geoNameId === null) {
+      return null;
+    }
+    var hierarchy = this._getAdminHierarchy();
+    geoNameId = String(geoNameId).trim();
+    var key = hierarchy.ids[geoNameId];
+    var city = key === undefined ? hierarchy.cities[geoNameId] : null;
+    if (city) {
+      key = ADMIN_LEVELS.map(function(level) {
+        return city[level.field] || '';
+      }).join('.').replace(/\.+$/, '');
+    } else if (key === undefined) {
+      return null;
+    }
+    var languages = parseLanguages(options.language);
+    var parts = key.split('.');
+    var chain = [];
+    for (var i = 0; i < parts.length; i++) {
+      // Levels that are not loaded or lack the unit are left out
+      var unitKey = parts.slice(0, i + 1).join('.');
+      var codes = this[ADMIN_LEVELS[i].codes];
+      if (codes && codes[unitKey]) {
+        chain.push(this._getAdminUnit(unitKey, languages));
+      }
+    }
+    return chain;
+  },
+
+  /**
+   * Finds the cities in a country or admin unit, given by its key as for
+   * getBounds(), biggest first. Takes the same options as inBoundingBox().
+   */
+  inAdminUnit: function(key, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.inAdminUnit, this, [key, options]);
+    }
+    this._inAdminUnit(key, options, function(err, results) {
+      return callback(err, results);
+    });
+  },
+
+  _inAdminUnit: function(key, options, callback) {
+    var that = this;
+    // If not yet initialied, then bail out
+    if (!this._kdTree) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    key = this._normalizeAdminKey(key);
+    if (!this._getAdminHierarchy().known.hasOwnProperty(key)) {
+      return setImmediate(callback, new GeocoderError('INVALID_ARGUMENT',
+          'Unknown country or admin unit: ' + JSON.stringify(key)));
+    }
+    var languages = parseLanguages(options.language);
+    var bounds = this.getBounds(key);
+    if (!bounds) {
+      return setImmediate(callback, null, []);
+    }
+    debug('Admin unit request for ' + key);
+    var parts = key.split('.');
+    // The bounding box holds cities of the neighbours as well
+    var results = this._findInBoundingBox(bounds.south, bounds.west,
+        bounds.north, bounds.east, options).filter(function(city) {
+      for (var i = 0; i < parts.length; i++) {
+        if (city[ADMIN_LEVELS[i].field] !== parts[i]) {
+          return false;
+        }
+      }
+      return true;
+    });
+    results.sort(function(a, b) {
+      return Number(b.population) - Number(a.population);
+    });
+    if (options.maxResults) {
+      results = results.slice(0, Number(options.maxResults));
+    }
+    return setImmediate(callback, null, results.map(function(city) {
+      return that._decorateResult(city, {languages: languages});
+    }));
+  },
+
+  // Country codes are upper case, admin codes are taken as they are
+  _normalizeAdminKey: function(key) {
+    var parts = String(key === undefined || key === null ? '' : key).trim()
+        .split('.');
+    parts[0] = parts[0].toUpperCase();
+    return parts.join('.');
+  },
+
+  // The country or admin unit under key with its level, code and key, see
+  // getAdminHierarchy()
+  _getAdminUnit: function(key, languages) {
+    var parts = key.split('.');
+    var level = ADMIN_LEVELS[parts.length - 1];
+    var unit;
+    var alternateNames;
+    if (parts.length === 1) {
+      unit = this._getCountryObject(key);
+      unit.geoNameId = unit.geoId;
+      unit.code = key;
+      unit.key = key;
+      alternateNames = this._countryInfo[key].alternateNames;
+    } else {
+      unit = this._getAdminObject(this[level.codes], key,
+          parts[parts.length - 1]);
+      alternateNames = unit.alternateNames;
+    }
+    unit.level = level.name;
+    if (languages) {
+      unit.name = this._localizeName(alternateNames, languages) || unit.name;
+    }
+    return unit;
+  },
+
+  // Indexes the loaded countries and admin units by key, their child units by
+  // the key of the parent and both units and cities by geoNameId. Built on
+  // the first call that needs it
+  _getAdminHierarchy: function() {
+    if (this._adminHierarchy) {
+      return this._adminHierarchy;
+    }
+    debug('Started building admin hierarchy');
+    var that = this;
+    var hierarchy = {known: {}, children: {}, ids: {}, cities: {}};
+    Object.keys(this._countryInfo || {}).forEach(function(countryCode) {
+      hierarchy.known[countryCode] = true;
+    });
+    ADMIN_LEVELS.slice(1).forEach(function(level) {
+      var codes = that[level.codes] || {};
+      Object.keys(codes).forEach(function(key) {
+        var parentKey = key.substr(0, key.lastIndexOf('.'));
+        hierarchy.known[key] = true;
+        hierarchy.known[parentKey] = true;
+        (hierarchy.children[parentKey] =
+            hierarchy.children[parentKey] || []).push(key);
+        hierarchy.ids[codes[key].geoNameId] = key;
+      });
+    });
+    this._cities.forEach(function(city) {
+      hierarchy.known[city.countryCode] = true;
+      hierarchy.cities[city.geoNameId] = city;
+    });
+    this._adminHierarchy = hierarchy;
+    debug('Finished building admin hierarchy');
+    return hierarchy;
+  },
+
+  // Returns a deep copy of a country's data, its alternate names are delivered
+  // separately as countryAltNames
+  _getCountryObject: function(countryCode) {
+    var country = {};
+    var info = this._countryInfo[countryCode];
+    for (var key in info) {
+      if (key !== 'alternateNames') {
+        country[key] = deepCopy(info[key]);
+      }
+    }
+    return country;
+  },
+
+  /**
+   * Describes the data the geocoder currently serves from: the dataset, when
+   * it was loaded and name, modification time and size of each source file.
+   * Returns null before init() has finished.
+   */
+  getDataVersion: function() {
+    return this._dataVersion;
+  },
+
+  /**
+   * Returns the hits, misses, current size and maxSize of the cache the
+   * cache option of init() sets up, or null if there is none. A refresh
+   * starts a new cache.
+   */
+  getCacheStats: function() {
+    if (!this._cache) {
+      return null;
+    }
+    return {
+      hits: this._cache.hits,
+      misses: this._cache.misses,
+      size: this._cache.size(),
+      maxSize: this._cache.maxSize,
+      precision: this._cache.precision
+    };
+  },
+
+  // Calls refresh() every interval milliseconds. The timer does not keep the
+  // process alive, and a new init() replaces it
+  _startRefreshTimer: function(interval) {
+    var that = this;
+    if (this._refreshTimer) {
+      clearInterval(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+    if (!interval) {
+      return;
+    }
+    this._refreshTimer = setInterval(function() {
+      that.refresh(function(err) {
+        if (err) {
+          debug('Warning: scheduled refresh failed: ' + err.message);
+        }
+      });
+    }, interval);
+    if (this._refreshTimer.unref) {
+      this._refreshTimer.unref();
+    }
+  },
+
+  /**
+   * Loads the latest GeoNames data in the background and swaps it in once it
+   * is ready, while lookUp keeps serving from the current data. Calls that
+   * arrive while a refresh is running share its outcome. Needs about twice
+   * the memory while the new index is built.
+   */
+  refresh: function(callback) {
+    var that = this;
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.refresh, this, []);
+    }
+    if (!this._initOptions) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    if (this._refreshCallbacks) {
+      this._refreshCallbacks.push(callback);
+      return;
+    }
+    this._refreshCallbacks = [callback];
+    debug('Started refreshing GeoNames data');
+    var options = mergeOptions(this._initOptions, {
+      dumpDirectory: this._dumpDirectory,
+      refreshInterval: 0
+    });
+    var next = createGeocoder(options);
+    next.init(function(err) {
+      if (!err) {
+        var previousWorkers = that._workers;
+        // Synchronous, so no lookUp ever sees half of each
+        REFRESHED_FIELDS.forEach(function(field) {
+          that[field] = next[field];
+        });
+        // Batches still running there finish with the previous data
+        if (previousWorkers) {
+          previousWorkers.close();
+        }
+        debug('Finished refreshing GeoNames data');
+      }
+      var callbacks = that._refreshCallbacks;
+      that._refreshCallbacks = null;
+      callbacks.forEach(function(refreshCallback) {
+        refreshCallback(err || null);
+      });
+    });
+  },
+
+  // Returns a deep copy of a city record with the admin codes replaced by their
+  // admin objects, the time zone by its offsets and the country's data
+  // pulled in. The records in the k-d tree itself are left untouched, so they
+  // can be decorated again. options.timestamp adds the time zone offset at
+  // that time, options.languages (see parseLanguages) localizes the names
+  _decorateResult: function(record, options) {
+    options = options || {};
+    var that = this;
+    var languages = options.languages;
+    var timestamp = options.timestamp;
+    var result = {};
+    for (var key in record) {
+      result[key] = deepCopy(record[key]);
+    }
+    var countryCode = record.countryCode || '';
+    var admin1Code = record.admin1Code || '';
+    var admin2Code = record.admin2Code || '';
+    var admin3Code = record.admin3Code || '';
+    var admin4Code = record.admin4Code || '';
+    // Look-up of admin 1 code
+    if (this._admin1Codes) {
+      var admin1CodeKey = countryCode + '.' + admin1Code;
+      result.admin1Code = this._getAdminObject(this._admin1Codes,
+          admin1CodeKey, record.admin1Code);
+    }
+    // Look-up of admin 2 code
+    if (this._admin2Codes) {
+      var admin2CodeKey = countryCode + '.' + admin1Code + '.' + admin2Code;
+      result.admin2Code = this._getAdminObject(this._admin2Codes,
+          admin2CodeKey, record.admin2Code);
+    }
+    // Look-up of admin 3 code
+    if (this._admin3Codes) {
+      var admin3CodeKey = countryCode + '.' + admin1Code + '.' +
+          admin2Code + '.' + admin3Code;
+      result.admin3Code = this._getAdminObject(this._admin3Codes,
+          admin3CodeKey, record.admin3Code);
+    }
+    // Look-up of admin 4 code
+    if (this._admin4Codes) {
+      var admin4CodeKey = countryCode + '.' + admin1Code + '.' +
+          admin2Code + '.' + admin3Code + '.' + admin4Code;
+      result.admin4Code = this._getAdminObject(this._admin4Codes,
+          admin4CodeKey, record.admin4Code);
+    }
+    // Look-up of time zone
+    if (this._timeZones && this._timeZones[record.timezone]) {
+      var timeZone = this._timeZones[record.timezone];
+      result.timezone = {
+        timeZoneId: timeZone.timeZoneId,
+        gmtOffset: timeZone.gmtOffset,
+        dstOffset: timeZone.dstOffset,
+        rawOffset: timeZone.rawOffset
+      };
+      if (timestamp !== undefined) {
+        var offset = getUtcOffset(timeZone.timeZoneId, timestamp);
+        result.timezone.timestamp = new Date(timestamp).toISOString();
+        result.timezone.offset = offset;
+        result.timezone.isDst = offset === null ? null :
+            offset !== timeZone.rawOffset;
+      }
+    }
+    if (this._countryInfo && this._countryInfo[countryCode]) {
+      result.country = this._getCountryObject(countryCode);
+      result.countryAltNames = deepCopy(
+          this._countryInfo[countryCode].alternateNames);
+    }
+    if (languages) {
+      result.name = this._localizeName(result.alternateNames, languages) ||
+          result.name;
+      ['admin1Code', 'admin2Code', 'admin3Code', 'admin4Code'].forEach(
+          function(field) {
+        // Unknown codes stay plain strings
+        var admin = result[field];
+        if (admin && typeof admin === 'object') {
+          admin.name = that._localizeName(admin.alternateNames, languages) ||
+              admin.name;
+        }
+      });
+      if (result.country) {
+        result.country.name = this._localizeName(result.countryAltNames,
+            languages) || result.country.name;
+      }
+    }
+    return result;
+  },
+
+  // Returns a deep copy of the admin object under key, extended by its own
+  // code and its key, e.g. '02' and 'DE.02' for Bavaria. Unknown codes are
+  // returned as they are
+  _getAdminObject: function(adminCodes, key, code) {
+    if (!adminCodes[key]) {
+      return code;
+    }
+    var admin = {};
+    for (var field in adminCodes[key]) {
+      admin[field] = deepCopy(adminCodes[key][field]);
+    }
+    admin.code = code;
+    admin.key = key;
+    return admin;
+  },
+
+  // Returns the alternate name in the first of languages that has one, or
+  // null. Language codes are compared case-insensitively, as GeoNames uses
+  // e.g. 'zh-CN' but browsers may send 'zh-cn'
+  _localizeName: function(alternateNames, languages) {
+    // Without alternate names the cities file gives a comma separated string
+    if (!alternateNames || typeof alternateNames !== 'object') {
+      return null;
+    }
+    for (var i = 0, lenI = languages.length; i < lenI; i++) {
+      if (alternateNames.hasOwnProperty(languages[i])) {
+        return alternateNames[languages[i]];
+      }
+      var language = languages[i].toLowerCase();
+      for (var key in alternateNames) {
+        if (key.toLowerCase() === language) {
+          return alternateNames[key];
+        }
+      }
+    }
+    return null;
+  },
+
+  // Lower-cases and strips diacritics, so that 'Tübingen', 'TUBINGEN' and
+  // 'tubingen' all end up under the same key
+  _normalizeName: function(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().trim();
+  },
+
+  _buildNameIndex: function() {
+    debug('Started building cities name index');
+    var that = this;
+    var index = {};
+    var addName = function(name, city) {
+      var key = name ? that._normalizeName(name) : '';
+      if (!key) {
+        return;
+      }
+      if (!index.hasOwnProperty(key)) {
+        index[key] = [];
+      }
+      if (index[key].indexOf(city) === -1) {
+        index[key].push(city);
+      }
+    };
+    this._cities.forEach(function(city) {
+      addName(city.name, city);
+      addName(city.asciiName, city);
+      var alt = city.alternateNames;
+      if (typeof alt === 'string') {
+        // Comma separated column from the cities file
+        alt.split(',').forEach(function(name) {
+          addName(name, city);
+        });
+      } else if (alt) {
+        // Per language map from the alternate names file
+        Object.keys(alt).forEach(function(language) {
+          if (NON_LANGUAGE_CODES.indexOf(language) === -1) {
+            addName(alt[language], city);
+          }
+        });
+      }
+    });
+    this._nameIndex = index;
+    this._nameIndexKeys = Object.keys(index).sort();
+    debug('Finished building cities name index');
+  },
+
+  // Returns the index keys starting with prefix, using a binary search on the
+  // sorted key list
+  _findNameKeysByPrefix: function(prefix) {
+    var keys = this._nameIndexKeys;
+    var low = 0;
+    var high = keys.length;
+    while (low < high) {
+      var middle = (low + high) >>> 1;
+      if (keys[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    var result = [];
+    for (var i = low; i < keys.length && keys[i].indexOf(prefix) === 0; i++) {
+      result.push(keys[i]);
+    }
+    return result;
+  },
+
+  search: function(query, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.search, this, [query, options]);
+    }
+    this._search(query, options, function(err, results) {
+      return callback(err, results);
+    });
+  },
+
+  _search: function(query, options, callback) {
+    var that = this;
+    // If not yet initialied, then bail out
+    if (!this._cities) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    if (!this._nameIndex) {
+      this._buildNameIndex();
+    }
+    var maxResults = Number(options.maxResults) || 10;
+    var languages = parseLanguages(options.language);
+    var key = this._normalizeName(query || '');
+    debug('Search request for ' + JSON.stringify(key));
+    if (!key) {
+      return setImmediate(callback, null, []);
+    }
+    var countryCode = options.country ?
+        String(options.country).toUpperCase() : null;
+    var admin1 = options.admin1 ? this._normalizeName(options.admin1) : null;
+    var near = options.near ? parseCoordinates(options.near) : null;
+    if (options.near && !near) {
+      return setImmediate(callback, new GeocoderError('INVALID_COORDINATE',
+          'Invalid latitude/longitude pair for near: ' +
+          JSON.stringify(options.near)));
+    }
+
+    var keys = options.prefix ? this._findNameKeysByPrefix(key) : [key];
+    var seen = {};
+    var candidates = [];
+    keys.forEach(function(name) {
+      (that._nameIndex[name] || []).forEach(function(city) {
+        if (seen[city.geoNameId]) {
+          return;
+        }
+        seen[city.geoNameId] = true;
+        if (countryCode && city.countryCode !== countryCode) {
+          return;
+        }
+        if (admin1) {
+          var admin1Object = that._admin1Codes &&
+              that._admin1Codes[city.countryCode + '.' + city.admin1Code];
+          if (that._normalizeName(city.admin1Code || '') !== admin1 &&
+              !(admin1Object && (
+                that._normalizeName(admin1Object.name) === admin1 ||
+                that._normalizeName(admin1Object.asciiName) === admin1))) {
+            return;
+          }
+        }
+        candidates.push({
+          city: city,
+          exact: name === key,
+          distance: near ? that._distanceFunc(near, city) : null
+        });
+      });
+    });
+
+    // Exact name matches win over prefix matches, then the population
+    // weighting from _lookUp applies
+    candidates.sort(function(a, b) {
+      if (a.exact !== b.exact) {
+        return a.exact ? -1 : 1;
+      }
+      var populationA = 100 + Number(a.city.population);
+      var populationB = 100 + Number(b.city.population);
+      if (near) {
+        return populationB * a.distance * a.distance -
+            populationA * b.distance * b.distance;
+      }
+      return populationB - populationA;
+    });
+
+    var results = candidates.slice(0, maxResults).map(function(candidate) {
+      var city = that._decorateResult(candidate.city, {languages: languages});
+      if (near) {
+        city.distance = candidate.distance;
+      }
+      return city;
+    });
+    debug('Found ' + candidates.length + ' match(es) for ' +
+        JSON.stringify(key));
+    return setImmediate(callback, null, results);
+  },
+
+  // Takes either maxResults or an options object with maxResults and
+  // language, the latter being a language or an ordered fallback list
+  lookUp: function(points, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    if (options === undefined || options === null ||
+        typeof options !== 'object') {
+      options = {maxResults: options};
+    }
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.lookUp, this, [points, options]);
+    }
+    this._lookUp(points, options, function(err, results) {
       return callback(err, results);
     });
   },
 
-  _lookUp: function(points, maxResults, callback) {
+  _lookUp: function(points, options, callback) {
     var that = this;
     // If not yet initialied, then bail out
     if (!this._kdTree) {
-    return (callback ('{}', null)); 
-/*      return this.init({}, function() {
-        return that.lookUp(points, maxResults, callback);
-      }); */
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    var maxResults = options.maxResults === undefined ||
+        options.maxResults === null ? 1 : Number(options.maxResults);
+    var languages = parseLanguages(options.language);
+    if (isNaN(maxResults) || maxResults < 1 ||
+        Math.floor(maxResults) !== maxResults) {
+      return setImmediate(callback, new GeocoderError('INVALID_ARGUMENT',
+          'maxResults must be a positive integer'));
+    }
+    var cells = this._parseCellsOption(options.cells);
+    if (cells instanceof GeocoderError) {
+      return setImmediate(callback, cells);
+    }
+    var ranking = this._parseRankingOption(options.ranking);
+    if (ranking instanceof GeocoderError) {
+      return setImmediate(callback, ranking);
     }
     // Make sure we have an array of points
     if (!Array.isArray(points)) {
       points = [points];
     }
+    var parsedPoints = [];
+    for (var i = 0, lenI = points.length; i < lenI; i++) {
+      parsedPoints[i] = parsePoint(points[i], i);
+      if (parsedPoints[i] instanceof GeocoderError) {
+        return setImmediate(callback, parsedPoints[i]);
+      }
+    }
+    // Big batches are sharded across the worker threads, if there are any,
+    // so the event loop stays free for everything else. Scoring functions
+    // cannot be passed to them though
+    if (this._workers && parsedPoints.length >= this._workerThreshold &&
+        typeof ranking.score !== 'function') {
+      return this._lookUpInWorkers(parsedPoints, {
+        maxResults: maxResults,
+        language: options.language,
+        cells: cells,
+        ranking: ranking
+      }, callback);
+    }
     var functions = [];
-    points.forEach(function(point, i) {
-      point = {
-        latitude: parseFloat(point.latitude),
-        longitude: parseFloat(point.longitude)
-      };
+    parsedPoints.forEach(function(point, i) {
       debug('Look-up request for point ' +
           JSON.stringify(point));
-      functions[i] = function(innerCallback) {
-        var result = that._kdTree.nearest(point, maxResults+3);
-        
-        result.sort(function (a, b) {
-          return (100+Number(b[0].population))*a[1]*a[1] - (100+Number(a[0].population))*b[1]*b[1];
-        });
-        result = result.slice (0, maxResults);
-
-        for (var j = 0, lenJ = result.length; j < lenJ; j++) {
-          if (result && result[j] && result[j][0]) {
-            var countryCode = result[j][0].countryCode || '';
-            //  var geoNameId = result[j][0].geoNameId || '';
-            var admin1Code;
-            var admin2Code;
-            var admin3Code;
-            var admin4Code;
-            // Look-up of admin 1 code
-            if (that._admin1Codes) {
-              admin1Code = result[j][0].admin1Code || '';
-              var admin1CodeKey = countryCode + '.' + admin1Code;
-              result[j][0].admin1Code = that._admin1Codes[admin1CodeKey] ||
-              result[j][0].admin1Code;
-            }
-            // Look-up of admin 2 code
-            if (that._admin2Codes) {
-              admin2Code = result[j][0].admin2Code || '';
-              var admin2CodeKey = countryCode + '.' + admin1Code + '.' +
-                  admin2Code;
-              result[j][0].admin2Code = that._admin2Codes[admin2CodeKey] ||
-                  result[j][0].admin2Code;
-            }
-            // Look-up of admin 3 code
-            if (that._admin3Codes) {
-              admin3Code = result[j][0].admin3Code || '';
-              var admin3CodeKey = countryCode + '.' + admin1Code + '.' +
-                  admin2Code + '.' + admin3Code;
-              result[j][0].admin3Code = that._admin3Codes[admin3CodeKey] ||
-                  result[j][0].admin3Code;
-            }
-            // Look-up of admin 4 code
-            if (that._admin4Codes) {
-              admin4Code = result[j][0].admin4Code || '';
-              var admin4CodeKey = countryCode + '.' + admin1Code + '.' +
-                  admin2Code + '.' + admin3Code + '.' + admin4Code;
-              result[j][0].admin4Code = that._admin4Codes[admin4CodeKey] ||
-                  result[j][0].admin4Code;
-            }
-            // Look-up of alternate name
-/*            if (that._alternateNames) {
-              result[j][0].alternateName = that._alternateNames[geoNameId] ||
-                  result[j][0].alternateName;
-            }
-*/
-            if (that._countryInfo[countryCode])
-                result[j][0].countryAltNames=that._countryInfo[countryCode].alternateNames;
-
-            // Pull in the k-d tree distance in the main object
-            result[j][0].distance = result[j][1];
-            // Simplify the output by not returning an array
-            result[j] = result[j][0];
-          }
-        }
-/*      debug('Found result(s) for point ' +
-            JSON.stringify(point) + result.map(function(subResult, i) {
-              return '\n  (' + (++i) + ') {"geoNameId":"' +
-                  subResult.geoNameId + '",' + '"name":"' + subResult.name +
-                  '"}';
-            }));
-*/
-        return innerCallback(null, result);
-      };
+      // Deferred, as thousands of synchronous callbacks in a row overflow
+      // the stack
+      functions[i] = async.ensureAsync(function(innerCallback) {
+        return innerCallback(null,
+            that._lookUpPoint(point, maxResults, languages, cells, ranking));
+      });
     });
     async.series(
       functions,
@@ -686,7 +3143,565 @@ var geocoder = {
       debug('Delivering joint results');
       return callback(null, results);
     });
+  },
+
+  // The records of the maxResults nearest cities of a parsed point, ranked
+  // as ranking (see _parseRankingOption) says, and of the nearest postal
+  // code. With a cache, all points in one cell of its grid share them, unless
+  // they are ranked by a function
+  _findNearest: function(point, maxResults, ranking) {
+    var key = null;
+    if (this._cache && ranking.key !== null) {
+      var factor = Math.pow(10, this._cache.precision);
+      key = Math.round(point.latitude * factor) + ',' +
+          Math.round(point.longitude * factor) + ',' + maxResults + ',' +
+          ranking.key;
+      var cached = this._cache.get(key);
+      if (cached) {
+        return cached;
+      }
+    }
+    var count = ranking.candidates === null ? maxResults + 3 :
+        Math.max(ranking.candidates, maxResults);
+    var candidates = this._nearestCandidates(point, count);
+    if (ranking.excludeFeatureCodes.length) {
+      // Widen the search until enough cities are left, so excluded ones do
+      // not crowd out the others, but only so far. If everything nearby is
+      // excluded, the point gets fewer or no results
+      var isKept = function(candidate) {
+        return ranking.excludeFeatureCodes.indexOf(
+            candidate[0].featureCode) === -1;
+      };
+      var limit = Math.max(count, MAX_EXCLUSION_CANDIDATES);
+      var size = count;
+      var kept = candidates.filter(isKept);
+      while (kept.length < count && candidates.length === size &&
+          size < limit) {
+        size = Math.min(size * 4, limit);
+        candidates = this._nearestCandidates(point, size);
+        kept = candidates.filter(isKept);
+      }
+      candidates = kept.sort(function(a, b) {
+        return a[1] - b[1];
+      }).slice(0, count);
+    }
+
+    // Preferred feature codes go first, the score orders within them
+    var score = RANKINGS[ranking.score] || ranking.score;
+    var ranked = candidates.map(function(candidate) {
+      var value = Number(score(candidate[0], candidate[1]));
+      return {
+        record: candidate[0],
+        preferred: ranking.preferFeatureCodes.indexOf(
+            candidate[0].featureCode) !== -1,
+        score: isNaN(value) ? Infinity : value
+      };
+    });
+    ranked.sort(function(a, b) {
+      return (b.preferred - a.preferred) || (a.score - b.score);
+    });
+    ranked = ranked.slice(0, maxResults);
+    var nearest = {
+      cities: ranked.map(function(candidate) {
+        return candidate.record;
+      }),
+      // The postal code is the one of the looked up point, not the city's
+      postalCode: this._nearestPostalCode(point)
+    };
+    if (key !== null) {
+      this._cache.set(key, nearest);
+    }
+    return nearest;
+  },
+
+  // Checks the cells option of lookUp, which asks for the geohash and/or H3
+  // cell of each place, e.g. {geohash: 7, h3: 9}. Returns null if there is
+  // none, the precisions as numbers or an error
+  _parseCellsOption: function(cells) {
+    if (!cells) {
+      return null;
+    }
+    var limits = {geohash: [1, 12], h3: [0, 15]};
+    var parsed = {};
+    for (var type in limits) {
+      if (cells[type] === undefined || cells[type] === null) {
+        continue;
+      }
+      var value = Number(cells[type]);
+      if (isNaN(value) || value < limits[type][0] ||
+          value > limits[type][1] || Math.floor(value) !== value) {
+        return new GeocoderError('INVALID_ARGUMENT', 'cells.' + type +
+            ' must be an integer from ' + limits[type][0] + ' to ' +
+            limits[type][1]);
+      }
+      parsed[type] = value;
+    }
+    return parsed;
+  },
+
+  // Checks the ranking option of lookUp, a strategy, a scoring function or
+  // {score, preferFeatureCodes, excludeFeatureCodes, candidates}. Returns
+  // all of the latter with their defaults, plus the key of the ranking in
+  // the cache, or an error
+  _parseRankingOption: function(ranking) {
+    if (ranking === undefined || ranking === null ||
+        typeof ranking === 'string' || typeof ranking === 'function') {
+      ranking = {score: ranking};
+    }
+    if (typeof ranking !== 'object') {
+      return new GeocoderError('INVALID_ARGUMENT',
+          'ranking must be a strategy, a function or an object');
+    }
+    var score = ranking.score === undefined || ranking.score === null ?
+        'population' : ranking.score;
+    if (typeof score !== 'function' && !RANKINGS.hasOwnProperty(score)) {
+      return new GeocoderError('INVALID_ARGUMENT', 'ranking.score must be ' +
+          'a function or one of ' + Object.keys(RANKINGS).join(', '));
+    }
+    var candidates = ranking.candidates === undefined ||
+        ranking.candidates === null ? null : Number(ranking.candidates);
+    if (candidates !== null && (isNaN(candidates) || candidates < 1 ||
+        Math.floor(candidates) !== candidates)) {
+      return new GeocoderError('INVALID_ARGUMENT',
+          'ranking.candidates must be a positive integer');
+    }
+    var featureCodes = function(codes) {
+      return [].concat(codes || []).map(function(code) {
+        return String(code).toUpperCase();
+      });
+    };
+    var parsed = {
+      score: score,
+      preferFeatureCodes: featureCodes(ranking.preferFeatureCodes),
+      excludeFeatureCodes: featureCodes(ranking.excludeFeatureCodes),
+      candidates: candidates
+    };
+    // What a function does is unknown, so its results are not cached
+    parsed.key = typeof score === 'function' ? null : JSON.stringify([score,
+      parsed.preferFeatureCodes, parsed.excludeFeatureCodes, candidates]);
+    return parsed;
+  },
+
+  // The maxResults nearest cities of a parsed point, decorated, with the
+  // cells asked for by cells (see _parseCellsOption) and ranked as ranking
+  // says (see _parseRankingOption)
+  _lookUpPoint: function(point, maxResults, languages, cells, ranking) {
+    var nearest = this._findNearest(point, maxResults, ranking);
+    var postalCode = null;
+    if (nearest.postalCode) {
+      postalCode = {};
+      for (var key in nearest.postalCode) {
+        postalCode[key] = nearest.postalCode[key];
+      }
+      postalCode.distance = this._distanceFunc(point, nearest.postalCode);
+    }
+
+    var result = [];
+    for (var j = 0, lenJ = nearest.cities.length; j < lenJ; j++) {
+      var city = this._decorateResult(nearest.cities[j], {
+        timestamp: point.timestamp,
+        languages: languages
+      });
+      // Pull in the distance in the main object, measured from this point
+      // as cached cities may have been found for another one nearby
+      city.distance = this._distanceFunc(point, nearest.cities[j]);
+      if (postalCode) {
+        city.postalCode = postalCode;
+      }
+      if (cells) {
+        var latitude = Number(city.latitude);
+        var longitude = Number(city.longitude);
+        city.cells = {};
+        if (cells.geohash !== undefined) {
+          city.cells.geohash = encodeGeohash(latitude, longitude,
+              cells.geohash);
+        }
+        if (cells.h3 !== undefined) {
+          city.cells.h3 = h3.latLngToCell(latitude, longitude, cells.h3);
+        }
+      }
+      result[j] = city;
+    }
+/*  debug('Found result(s) for point ' +
+        JSON.stringify(point) + result.map(function(subResult, i) {
+          return '\n  (' + (++i) + ') {"geoNameId":"' +
+              subResult.geoNameId + '",' + '"name":"' + subResult.name +
+              '"}';
+        }));
+*/
+    return result;
+  },
+
+  // Splits the parsed points into one shard per worker and joins the results
+  // in input order. Shards whose worker fails are looked up right here
+  _lookUpInWorkers: function(points, options, callback) {
+    var that = this;
+    var workers = this._workers;
+    var shardSize = Math.ceil(points.length / workers.size);
+    var shards = [];
+    for (var i = 0, lenI = points.length; i < lenI; i += shardSize) {
+      shards.push(points.slice(i, i + shardSize));
+    }
+    debug('Sharding ' + points.length + ' points across ' + shards.length +
+        ' workers');
+    async.map(shards, function(shard, mapCallback) {
+      workers.lookUp(shard, options, function(err, results) {
+        if (err) {
+          debug('Warning: looking up a shard in a worker failed: ' +
+              err.message);
+          var languages = parseLanguages(options.language);
+          results = shard.map(function(point) {
+            return that._lookUpPoint(point, options.maxResults, languages,
+                options.cells, options.ranking);
+          });
+        }
+        return mapCallback(null, results);
+      });
+    }, function(err, results) {
+      debug('Delivering joint results');
+      return callback(null, [].concat.apply([], results));
+    });
+  },
+
+  /**
+   * Forward lookup of a postal code, needs load.postalCodes. Calls back with
+   * all places of that code, as one code often covers several places and
+   * the same code may exist in several countries. options.country limits
+   * the results to one country.
+   */
+  lookUpPostalCode: function(postalCode, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.lookUpPostalCode, this,
+          [postalCode, options]);
+    }
+    this._lookUpPostalCode(postalCode, options, function(err, results) {
+      return callback(err, results);
+    });
+  },
+
+  _lookUpPostalCode: function(postalCode, options, callback) {
+    // If not yet initialied, then bail out
+    if (!this._postalCodeIndex) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'No postal codes loaded, call init() with load.postalCodes'));
+    }
+    if (postalCode === undefined || postalCode === null ||
+        String(postalCode).trim() === '') {
+      return setImmediate(callback, new GeocoderError('INVALID_ARGUMENT',
+          'Missing postal code'));
+    }
+    var countryCode = options.country ?
+        String(options.country).toUpperCase() : null;
+    debug('Postal code request for ' + postalCode);
+    var matches = this._postalCodeIndex[
+        this._normalizePostalCode(postalCode)] || [];
+    var results = matches.filter(function(match) {
+      return !countryCode || match.countryCode === countryCode;
+    }).map(function(match) {
+      var result = {};
+      for (var key in match) {
+        result[key] = match[key];
+      }
+      return result;
+    });
+    return setImmediate(callback, null, results);
+  },
+
+  within: function(point, radiusKm, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.within, this, [point, radiusKm, options]);
+    }
+    this._within(point, radiusKm, options, function(err, results) {
+      return callback(err, results);
+    });
+  },
+
+  _within: function(point, radiusKm, options, callback) {
+    var that = this;
+    // If not yet initialied, then bail out
+    if (!this._kdTree) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    var center = parseCoordinates(point);
+    if (!center) {
+      return setImmediate(callback, new GeocoderError('INVALID_COORDINATE',
+          'Invalid latitude/longitude pair: ' + JSON.stringify(point)));
+    }
+    var languages = parseLanguages(options.language);
+    radiusKm = Number(radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+      return setImmediate(callback, new GeocoderError('INVALID_ARGUMENT',
+          'radiusKm must be a positive number'));
+    }
+    debug('Within request for ' + radiusKm + ' km around ' +
+        JSON.stringify(center));
+
+    // Collect the bounding box of the circle first, then drop the corners
+    var earthRadius = 6371;
+    var deltaLatitude = radiusKm / earthRadius * 180 / Math.PI;
+    var south = center.latitude - deltaLatitude;
+    var north = center.latitude + deltaLatitude;
+    var west = -180;
+    var east = 180;
+    // Circles reaching a pole or spanning a hemisphere need all longitudes
+    if (south > -90 && north < 90 && radiusKm / earthRadius < Math.PI / 2) {
+      var deltaLongitude = Math.asin(Math.min(1, Math.sin(radiusKm /
+          earthRadius) / Math.cos(center.latitude * Math.PI / 180))) *
+          180 / Math.PI;
+      west = center.longitude - deltaLongitude;
+      east = center.longitude + deltaLongitude;
+      // Wrap around the antimeridian, inBoundingBox knows west > east
+      if (west < -180) {
+        west += 360;
+      }
+      if (east > 180) {
+        east -= 360;
+      }
+    }
+    var results = [];
+    this._findInBoundingBox(Math.max(south, -90), west, Math.min(north, 90),
+        east, options).forEach(function(city) {
+      var distance = that._distanceFunc(center, city);
+      if (distance <= radiusKm) {
+        results.push([city, distance]);
+      }
+    });
+    results.sort(function(a, b) {
+      return a[1] - b[1];
+    });
+    if (options.maxResults) {
+      results = results.slice(0, Number(options.maxResults));
+    }
+    results = results.map(function(result) {
+      var city = that._decorateResult(result[0], {languages: languages});
+      city.distance = result[1];
+      return city;
+    });
+    return setImmediate(callback, null, results);
+  },
+
+  inBoundingBox: function(south, west, north, east, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+      return callWithPromise(this.inBoundingBox, this,
+          [south, west, north, east, options]);
+    }
+    this._inBoundingBox(south, west, north, east, options,
+        function(err, results) {
+      return callback(err, results);
+    });
+  },
+
+  _inBoundingBox: function(south, west, north, east, options, callback) {
+    var that = this;
+    // If not yet initialied, then bail out
+    if (!this._kdTree) {
+      return setImmediate(callback, new GeocoderError('NOT_INITIALIZED',
+          'The geocoder has not been initialized, call init() first'));
+    }
+    var languages = parseLanguages(options.language);
+    var southWest = parseCoordinates({latitude: south, longitude: west});
+    var northEast = parseCoordinates({latitude: north, longitude: east});
+    if (!southWest || !northEast ||
+        southWest.latitude > northEast.latitude) {
+      return setImmediate(callback, new GeocoderError('INVALID_COORDINATE',
+          'Invalid bounding box: ' + [south, west, north, east].join(',')));
+    }
+    debug('Bounding box request for ' + [south, west, north, east].join(','));
+    var results = this._findInBoundingBox(southWest.latitude,
+        southWest.longitude, northEast.latitude, northEast.longitude, options);
+    // Biggest places first, that is what a map shows first
+    results.sort(function(a, b) {
+      return Number(b.population) - Number(a.population);
+    });
+    if (options.maxResults) {
+      results = results.slice(0, Number(options.maxResults));
+    }
+    return setImmediate(callback, null, results.map(function(city) {
+      return that._decorateResult(city, {languages: languages});
+    }));
+  },
+
+  // Returns the undecorated cities inside the bounding box that pass the
+  // population and feature filters of options. A box with west > east
+  // crosses the antimeridian
+  _findInBoundingBox: function(south, west, north, east, options) {
+    if (west > east) {
+      return this._findInBoundingBox(south, west, north, 180, options).concat(
+          this._findInBoundingBox(south, -180, north, east, options));
+    }
+    var minimum = {latitude: south, longitude: west};
+    var maximum = {latitude: north, longitude: east};
+    var dimensions = ['latitude', 'longitude'];
+    var minPopulation = Number(options.minPopulation) || 0;
+    var featureClasses = options.featureClasses || null;
+    var featureCodes = options.featureCodes || null;
+    var results = [];
+    // Walk the k-d tree, skipping subtrees that lie outside of the box
+    var visit = function(node) {
+      if (!node) {
+        return;
+      }
+      var city = node.obj;
+      var dimension = dimensions[node.dimension];
+      var value = Number(city[dimension]);
+      var latitude = Number(city.latitude);
+      var longitude = Number(city.longitude);
+      if (latitude >= south && latitude <= north &&
+          longitude >= west && longitude <= east &&
+          Number(city.population) >= minPopulation &&
+          (!featureClasses ||
+            featureClasses.indexOf(city.featureClass) !== -1) &&
+          (!featureCodes || featureCodes.indexOf(city.featureCode) !== -1)) {
+        results.push(city);
+      }
+      if (minimum[dimension] <= value) {
+        visit(node.left);
+      }
+      if (maximum[dimension] >= value) {
+        visit(node.right);
+      }
+    };
+    visit(this._kdTree.root);
+    return results;
+  }
+};
+
+/**
+ * Turns results into a GeoJSON FeatureCollection with one Point feature per
+ * place. The results of lookUp are grouped per input point, so their
+ * features carry the index of the point as pointIndex and their position
+ * among its results as rank. Flat result lists like those of search, within
+ * and inBoundingBox give features without a pointIndex.
+ *
+ * @param {object[]} results The results of lookUp, search, within or
+ *                           inBoundingBox
+ * @param {object[]} [points] The points passed to lookUp, their coordinates
+ *                            are added as queryLatitude and queryLongitude
+ *
+ * @returns {object} A GeoJSON FeatureCollection
+ */
+var toGeoJSON = function(results, points) {
+  var nested = results.some(Array.isArray);
+  var groups = nested ? results : [results];
+  if (points && !Array.isArray(points)) {
+    points = [points];
+  }
+  // Admin units and countries may have been replaced by objects, or not
+  var name = function(value) {
+    return value && typeof value === 'object' ? value.name : null;
+  };
+  var code = function(value) {
+    return value && typeof value === 'object' ? value.code || null :
+        value || null;
+  };
+  var features = [];
+  groups.forEach(function(places, pointIndex) {
+    (places || []).forEach(function(place, rank) {
+      var properties = {
+        geoNameId: place.geoNameId,
+        name: place.name,
+        asciiName: place.asciiName,
+        featureClass: place.featureClass,
+        featureCode: place.featureCode,
+        countryCode: place.countryCode,
+        country: name(place.country),
+        admin1Code: code(place.admin1Code),
+        admin1: name(place.admin1Code),
+        admin2Code: code(place.admin2Code),
+        admin2: name(place.admin2Code),
+        admin3Code: code(place.admin3Code),
+        admin3: name(place.admin3Code),
+        admin4Code: code(place.admin4Code),
+        admin4: name(place.admin4Code),
+        population: place.population === null ||
+            place.population === undefined ? null : Number(place.population),
+        timezone: place.timezone && typeof place.timezone === 'object' ?
+            place.timezone.timeZoneId : place.timezone || null,
+        postalCode: place.postalCode ? place.postalCode.postalCode : null,
+        distance: place.distance === undefined ? null : place.distance
+      };
+      if (place.cells) {
+        for (var type in place.cells) {
+          properties[type] = place.cells[type];
+        }
+      }
+      if (nested) {
+        properties.pointIndex = pointIndex;
+        properties.rank = rank;
+        var point = points && parseCoordinates(points[pointIndex]);
+        if (point) {
+          properties.queryLatitude = point.latitude;
+          properties.queryLongitude = point.longitude;
+        }
+      }
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [Number(place.longitude), Number(place.latitude)]
+        },
+        properties: properties
+      });
+    });
+  });
+  return {type: 'FeatureCollection', features: features};
+};
+
+/**
+ * Creates an independent geocoder with its own data and dump directory.
+ *
+ * @param {object} options Defaults for init(), e.g. dumpDirectory or load
+ *
+ * @returns {object} A geocoder with the init, lookUp and search functions
+ *
+ * @example
+ * var small = geocoder.createGeocoder({dumpDirectory: '/tmp/small'});
+ * small.init().then(function() {
+ *   return small.lookUp({latitude: 42.083333, longitude: 3.1});
+ * });
+ */
+var createGeocoder = function(options) {
+  var instance = Object.create(geocoderPrototype);
+  instance._options = mergeOptions({}, options);
+  if (instance._options.dumpDirectory) {
+    instance._dumpDirectory = instance._options.dumpDirectory;
   }
+  instance.ready = new Promise(function(resolve, reject) {
+    instance._resolveReady = resolve;
+    instance._rejectReady = reject;
+  });
+  // Nobody has to wait for ready, so a failed init() must not end up as an
+  // unhandled rejection
+  instance.ready.catch(function() {});
+  return instance;
+};
+
+// The module itself stays a ready to use geocoder for backwards compatibility
+var geocoder = createGeocoder();
+geocoder.createGeocoder = createGeocoder;
+geocoder.GeocoderError = GeocoderError;
+geocoder.toGeoJSON = toGeoJSON;
+geocoder.parseLatitude = coordinates.parseLatitude;
+geocoder.parseLongitude = coordinates.parseLongitude;
+geocoder.parseLatLng = coordinates.parseLatLng;
+geocoder.parsePoint = function(point) {
+  return parsePoint(point);
 };
 
 module.exports = geocoder;
@@ -0,0 +1,30 @@
+'use strict';
+
+// A worker thread of the pool geocoder.js starts for the workers option. It
+// loads a geocoder of its own, usually from the snapshot the main thread has
+// just written, and looks up the shards of big batches it is sent
+
+var workerThreads = require('worker_threads');
+var geocoder = require('./geocoder.js');
+
+var parentPort = workerThreads.parentPort;
+
+var toMessage = function(err) {
+  return {code: err.code || 'WORKER_FAILED', message: err.message};
+};
+
+geocoder.init(workerThreads.workerData, function(err) {
+  if (err) {
+    parentPort.postMessage({type: 'failed', error: toMessage(err)});
+    return parentPort.close();
+  }
+  parentPort.on('message', function(job) {
+    geocoder.lookUp(job.points, job.options, function(err, results) {
+      if (err) {
+        return parentPort.postMessage({type: 'results', error: toMessage(err)});
+      }
+      return parentPort.postMessage({type: 'results', results: results});
+    });
+  });
+  parentPort.postMessage({type: 'ready'});
+});